@@ -19,7 +19,14 @@ const APP_ROOT = document.getElementById('root')
 const schema = {
     foo: Schema.SchemaTypes.string({ required: true }),
 
-    bar: Schema.SchemaTypes.number(),
+    bar: Schema.SchemaTypes.number({ label: 'Bar (ms)', description: 'How long a bar lasts', placeholder: 'e.g. 500' }),
+
+    status: Schema.SchemaTypes.oneOf(['draft', 'live', 'archived'])(),
+
+    author: Schema.SchemaTypes.oneOfType([
+        Schema.SchemaTypes.string(),
+        { name: Schema.SchemaTypes.string({ required: true }), email: Schema.SchemaTypes.string() },
+    ])(),
 
     baz: {
         biz: Schema.SchemaTypes.number(),
@@ -34,6 +41,18 @@ const schema = {
 
     stringArray: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())(),
 
+    position: Schema.SchemaTypes.tuple([
+        Schema.SchemaTypes.number({ required: true }),
+        Schema.SchemaTypes.number({ required: true }),
+    ])(),
+
+    translations: Schema.SchemaTypes.objectOf(Schema.SchemaTypes.string(), { keyPattern: /^[a-z]{2}$/ })(),
+
+    blocks: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.taggedUnion('kind', {
+        text: { body: Schema.SchemaTypes.string({ required: true }) },
+        image: { url: Schema.SchemaTypes.string({ required: true }), alt: Schema.SchemaTypes.string() },
+    })())(),
+
     complexArray: Schema.SchemaTypes.arrayOf(
         Schema.SchemaTypes.arrayOf({
             foo: Schema.SchemaTypes.string(),
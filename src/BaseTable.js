@@ -9,9 +9,11 @@ import TableFooter from '@material-ui/core/TableFooter';
 import TableHead from '@material-ui/core/TableHead';
 import TablePagination from '@material-ui/core/TablePagination';
 import TableRow from '@material-ui/core/TableRow';
+import TableSortLabel from '@material-ui/core/TableSortLabel';
 
 import Checkbox from '@material-ui/core/Checkbox';
-import InfoOutline from '@material-ui/icons/InfoOutline'
+import Select from '@material-ui/core/Select';
+import InfoOutline from '@material-ui/icons/InfoOutlined'
 
 import { Div } from 'glamorous'
 
@@ -21,39 +23,233 @@ import * as util from './util'
 import * as Schema from './Schema';
 import { SchemaPopover } from './SchemaView'
 
+// The validation of the document that a value is in: the value that's validated as a whole (root),
+// the JSON pointer to the value in it (path), and the validation errors of the whole document
+// (see Schema.validate)
+export const VALIDATION_PROPTYPE = PropTypes.shape({
+  root: PropTypes.any,
+  path: PropTypes.string.isRequired,
+  errors: PropTypes.arrayOf(PropTypes.object).isRequired,
+});
+
 // Base propTypes for all editor variants
 export const BASE_EDITOR_PROPTYPES = {
   // Schema for the elements in the array
-  // TODO: add "render" functions to type somehow, so that an element can provide a custom
-  // TODO: render function for any of its cells
-  // TODO: pass validation functions through schema
   type: Props.Schema.isRequired,
 
   // Optional: classes to apply to the editor wrapper
   className: PropTypes.string,
+
+  // Optional: custom cell components, by type name (e.g. "string") or by the JSON pointer
+  // of the value (e.g. "/image/url", where "*" matches any key or index).
+  // Also see the `render` option of SchemaTypes.
+  // Each component is passed the props { value, onChange, schema, path, errors, readOnly }.
+  renderers: PropTypes.objectOf(PropTypes.oneOfType([ PropTypes.func, PropTypes.object ])),
+
+  // Optional: the JSON pointer of the edited value, for the paths of the renderers.
+  // Set by the editor for nested editors.
+  path: PropTypes.string,
+
+  // Optional: if true, values are shown but can't be changed, and elements can't be added,
+  // removed or selected. Also see the `readOnly` option of SchemaTypes.
+  readOnly: PropTypes.bool,
+
+  // Optional: the validation of the document that the edited value is in (see VALIDATION_PROPTYPE).
+  // Set by the editor for nested editors, so that custom validators see the whole document.
+  // Without it, the edited value is validated on its own.
+  validation: VALIDATION_PROPTYPE,
+
+  // Optional: if false, validation errors aren't shown.
+  // Set by the editor for nested editors in rows that don't show their errors yet.
+  showErrors: PropTypes.bool,
 };
 
+// The sort order of the elements of an array: a list of { key, direction } (see Schema.sortIndices)
+export const SORT_PROPTYPE = PropTypes.arrayOf(PropTypes.shape({
+  key: PropTypes.string.isRequired,
+  direction: PropTypes.oneOf([ 'asc', 'desc' ]).isRequired,
+}));
+
+// Column filters by the keys of the columns (see Schema.filterIndices)
+const FILTERS_PROPTYPE = PropTypes.objectOf(PropTypes.any);
+
 // Returns true if `schemaType` is one of the array types -- "array", or "arrayOf".
 const isArraySchemaType = schemaType => {
-  return schemaType._type && schemaType._type.match(/array/) !== null;
+  return /array/.test(Schema.getSchemaTypeName(schemaType));
 };
 
 
-function columnTitle (schemaType) {
+// Returns the position types of a tuple SchemaType as an object schema keyed by the
+// titles of the positions (e.g. "[0]"), or null for any other schema.
+function getTupleColumns (schemaType) {
+  if (Schema.getSchemaTypeName(schemaType) !== 'tuple') {
+    return null;
+  }
+
+  return Schema.getSchemaTypeMetadata(schemaType).elementTypes.reduce(
+    (columns, type, idx) => ({ ...columns, [`[${idx}]`]: type }),
+    {}
+  );
+}
+
+// `seen` is the lazy SchemaTypes being titled, so that recursive schemas are only titled once.
+function columnTitle (schemaType, seen = []) {
   // Complex object schema
-  if (typeof schemaType === 'object') {
+  if (Schema.getShapeFields(schemaType)) {
     return 'Object';
   }
 
-  // If it's an array type, use the elementType property.
+  const metadata = Schema.getSchemaTypeMetadata(schemaType);
+
+  // Lazy types are titled by the schema they stand for
+  if (metadata.type === 'lazy') {
+    return seen.indexOf(schemaType) === -1
+      ? columnTitle(metadata.resolve(), [ ...seen, schemaType ])
+      : '...';
+  }
+
+  // If it's an array type, use the element type.
   if (isArraySchemaType(schemaType)) {
-    return 'Array of ' + columnTitle(schemaType._elementType || Schema.SchemaTypes.any);
+    return 'Array of ' + columnTitle(metadata.elementType || Schema.SchemaTypes.any(), seen);
+  }
+
+  // Maps are titled by their values
+  if (metadata.type === 'objectOf') {
+    return 'Map of ' + columnTitle(metadata.valueType, seen);
+  }
+
+  // Enums are titled by their allowed values
+  if (metadata.type === 'oneOf') {
+    return 'One of ' + metadata.values.map(String).join(', ');
+  }
+
+  // Tagged unions are titled by their tag values
+  if (metadata.type === 'taggedUnion') {
+    return util.capitalize(metadata.tag) + ': ' + Object.keys(metadata.variants).join(', ');
+  }
+
+  // Tuples list the title of each position
+  if (metadata.type === 'tuple') {
+    return '[' + metadata.elementTypes.map(type => columnTitle(type, seen)).join(', ') + ']';
+  }
+
+  // Unions list each of their members
+  if (metadata.type === 'oneOfType') {
+    return metadata.types.map(type => columnTitle(type, seen)).join(' or ');
+  }
+
+  // Registered SchemaTypes can describe themselves
+  const registered = Schema.getRegisteredSchemaType(metadata.type);
+  if (registered && registered.describe) {
+    return util.capitalize(registered.describe(schemaType));
+  }
+
+  // Otherwise, just use the type name.
+  return util.capitalize(metadata.type);
+}
+
+
+// Converts the text of a number input to a bound of a range filter (undefined if it's blank or not a number)
+function textToBound (text) {
+  const number = parseFloat(text)
+  return isNaN(number) ? undefined : number
+}
+
+// A <td /> with the controls for filtering a column by its values, depending on the kind of
+// filter for its schema (see Schema.getFilterKind):
+//    text: a text input for a text that the values contain
+//    range: inputs for the smallest and the largest value
+//    boolean: a select for true or false
+//    enum: a select for one of the values
+// Columns that can't be filtered are left blank.
+const ColumnFilter = props => {
+  const kind = Schema.getFilterKind(props.schema)
+  const filter = props.filter
+  const inputClasses = cx('form-control', BaseClassnames.EditorInput(), BaseClassnames.EditorInput('--filter'))
+
+  const renderControl = () => {
+    switch (kind) {
+      case 'text':
+        return <input
+          className={inputClasses}
+          type="search"
+          placeholder="Contains"
+          aria-label={`Filter ${props.title}`}
+          value={filter || ''}
+          onChange={evt => props.onChange(evt.target.value)}/>
+
+      case 'range': {
+        const range = filter || {}
+        const renderBound = (bound, label) => <input
+          className={inputClasses}
+          type="number"
+          placeholder={label}
+          aria-label={`${label} ${props.title}`}
+          value={Schema.isSomething(range[bound]) ? range[bound] : ''}
+          onChange={evt => props.onChange({ ...range, [bound]: textToBound(evt.target.value) })}/>
+
+        return (
+          <Div display="inline-flex">
+            {renderBound('min', 'Min')}
+            {renderBound('max', 'Max')}
+          </Div>
+        )
+      }
+
+      case 'boolean':
+        return (
+          <Select
+            native
+            value={Schema.isSomething(filter) ? String(filter) : ''}
+            inputProps={{ 'aria-label': `Filter ${props.title}` }}
+            onChange={evt => props.onChange(evt.target.value === '' ? undefined : evt.target.value === 'true')}>
+            <option value="">Any</option>
+            <option value="true">True</option>
+            <option value="false">False</option>
+          </Select>
+        )
+
+      case 'enum': {
+        // Options are picked by their index, so that values that aren't strings keep their type
+        const values = Schema.getSchemaTypeMetadata(Schema.resolveLazy(props.schema)).values
+        return (
+          <Select
+            native
+            value={Schema.isSomething(filter) ? String(values.indexOf(filter)) : ''}
+            inputProps={{ 'aria-label': `Filter ${props.title}` }}
+            onChange={evt => props.onChange(evt.target.value === '' ? undefined : values[util.parseDecimalInt(evt.target.value)])}>
+            <option value="">Any</option>
+            {
+              values.map((value, idx) =>
+                <option key={idx} value={idx}>{String(value)}</option>
+              )
+            }
+          </Select>
+        )
+      }
+
+      default:
+        return null
+    }
   }
 
-  // Otherwise, just use the _type field.
-  return util.capitalize(schemaType._type);
+  return <TableCell>{renderControl()}</TableCell>
 }
+ColumnFilter.displayName = 'ColumnFilter'
+ColumnFilter.propTypes = {
+  // The schema of the column's values
+  schema: Props.Schema.isRequired,
+
+  // The title of the column, for the labels of the controls
+  title: PropTypes.string.isRequired,
 
+  // The column's filter (see Schema.matchesFilter)
+  filter: PropTypes.any,
+
+  // Handler called with the new filter (undefined for none)
+  // function onChange (filter) -> void
+  onChange: PropTypes.func.isRequired,
+}
 
 // Returns the column title for the SchemaType `schemaType`.
 // A <th /> Element with a the class ".editor__column-title"
@@ -67,14 +263,41 @@ class ColumnTitle extends React.Component {
     children: PropTypes.node,
 
     schema: Props.Schema.isRequired,
+
+    // The direction the column is sorted in ('asc' or 'desc'), if it is
+    sortDirection: PropTypes.oneOf([ 'asc', 'desc' ]),
+
+    // The position of the column in the sort order, shown when the elements are sorted by more than one column
+    sortPosition: PropTypes.number,
+
+    // Handler called when the title is clicked, if the column can be sorted.
+    // function onSort (multiple: Boolean) -> void
+    // multiple is true if the shift key was held, to sort by more than one column
+    onSort: PropTypes.func,
+  }
+
+  renderTitle () {
+    if (!this.props.onSort) {
+      return <Div marginRight="5px">{this.props.children}</Div>
+    }
+
+    return (
+      <TableSortLabel
+        active={Boolean(this.props.sortDirection)}
+        direction={this.props.sortDirection || 'asc'}
+        onClick={evt => this.props.onSort(evt.shiftKey)}>
+        {this.props.children}
+        { Schema.isSomething(this.props.sortPosition) && <Div fontSize="0.75em" marginLeft="2px">{this.props.sortPosition}</Div> }
+      </TableSortLabel>
+    )
   }
 
   render () {
     return (
-      <TableCell>
+      <TableCell sortDirection={this.props.sortDirection || false}>
         <SchemaPopover schema={this.props.schema}>
-          <Div display="inline-flex" cursor="default">
-            <Div marginRight="5px">{this.props.children}</Div>
+          <Div display="inline-flex" alignItems="center" cursor="default">
+            {this.renderTitle()}
             <InfoOutline style={infoOutlineFontSize}/>
           </Div>
         </SchemaPopover>
@@ -96,7 +319,7 @@ export default class BaseTable extends React.Component {
     object: PropTypes.any,
 
     // Handler called when the "select all/none" checkbox is clicked.
-    // If the handler isn't provided, the checkbox isn't rendered.
+    // If the handler isn't provided (or the table is read-only), the checkbox isn't rendered.
     onSelectAll: PropTypes.func,
 
     // State of the select all button
@@ -110,48 +333,160 @@ export default class BaseTable extends React.Component {
 
     onChangePage: PropTypes.func,
     onChangeRowsPerPage: PropTypes.func,
+
+    // If true, there's a "Key" column before the columns for type (for the entries of a map)
+    keyColumn: PropTypes.bool,
+
+    // The columns the elements are sorted by, shown in their titles
+    sort: SORT_PROPTYPE,
+
+    // Handler called when the title of a sortable column (see Schema.isSortable) is clicked.
+    // If the handler isn't provided, the columns can't be sorted.
+    // function onSort (key: String, multiple: Boolean) -> void
+    // key is the key of the column's field ('' for primitive schemas), and multiple is true if
+    // the shift key was held
+    onSort: PropTypes.func,
+
+    // The filters of the columns, shown in a row below the column titles
+    filters: FILTERS_PROPTYPE,
+
+    // Handler called when the filter of a column (see Schema.getFilterKind) is changed.
+    // If the handler isn't provided, the row of filters isn't rendered.
+    // function onFilterChange (key: String, filter) -> void
+    // key is the key of the column's field ('' for primitive schemas), and filter is undefined for none
+    onFilterChange: PropTypes.func,
+  };
+
+  // Returns the sort props of the ColumnTitle for the field `key` of the schema `schema`
+  getSortProps = (key, schema) => {
+    if (!this.props.onSort || !Schema.isSortable(schema)) {
+      return {};
+    }
+
+    const sort = this.props.sort || [];
+    const position = sort.findIndex(entry => entry.key === key);
+
+    return {
+      sortDirection: position === -1 ? undefined : sort[position].direction,
+      sortPosition: position === -1 || sort.length < 2 ? undefined : position + 1,
+      onSort: multiple => this.props.onSort(key, multiple),
+    };
   };
 
   // Render the column titles based on a primitive schema type.
   renderPrimitiveColumns = () => {
-    return <ColumnTitle schema={this.props.type}>
-      {columnTitle(this.props.type)}
+    return <ColumnTitle schema={this.props.type} {...this.getSortProps('', this.props.type)}>
+      {this.props.type.label || columnTitle(this.props.type)}
     </ColumnTitle>;
   };
 
   // Render column titles based on a complex object-schema
-  renderObjectColumns = () => {
+  // Fields are titled by their label, if they have one.
+  // Tuple positions can't be sorted.
+  renderObjectColumns = (fields, keys, sortable) => {
     // A column for each element key
-    return Object.keys(this.props.type).map(
+    return keys.map(
       field => (
-        <ColumnTitle key={field} schema={this.props.type[field]}>
-          {field}
+        <ColumnTitle key={field} schema={fields[field]} {...(sortable ? this.getSortProps(field, fields[field]) : {})}>
+          {(Schema.isSchemaType(fields[field]) && fields[field].label) || field}
         </ColumnTitle>
       )
     );
   };
 
+  // Render a row of titles for the groups of fields (see Schema.getFieldGroups), above the column titles
+  renderGroupTitles = groups => {
+    return (
+      <TableRow className={BaseClassnames.ColumnGroups()}>
+        <TableCell padding="checkbox" />
+        { this.props.keyColumn && <TableCell /> }
+        {
+          groups.map(({ group, keys }) =>
+            <TableCell key={keys[0]} colSpan={keys.length}>{group}</TableCell>
+          )
+        }
+        <TableCell />
+      </TableRow>
+    );
+  };
+
+  // Render a row of filters for the columns (see ColumnFilter), below the column titles.
+  // Tuple positions can't be filtered.
+  renderFilters = (fields, keys, filterable) => {
+    const columns = fields === null
+      ? [ { key: '', schema: this.props.type, title: this.props.type.label || columnTitle(this.props.type) } ]
+      : keys.map(key => ({
+        key,
+        schema: fields[key],
+        title: (Schema.isSchemaType(fields[key]) && fields[key].label) || key,
+      }));
+    const filters = this.props.filters || {};
+
+    return (
+      <TableRow className={BaseClassnames.ColumnFilters()}>
+        <TableCell padding="checkbox" />
+        { this.props.keyColumn && <TableCell /> }
+        {
+          columns.map(column => !filterable
+            ? <TableCell key={column.key} />
+            : <ColumnFilter
+              key={column.key}
+              schema={column.schema}
+              title={column.title}
+              filter={filters[column.key]}
+              onChange={filter => this.props.onFilterChange(column.key, filter)}/>
+          )
+        }
+        <TableCell />
+      </TableRow>
+    );
+  };
+
   render () {
-    const isPrimitiveSchema = Boolean(this.props.type._isSchemaType);
+    // Object schemas (plain or shape SchemaTypes) have a column per field.
+    // So do tagged unions, with a column for the tag and for each field of any of the variants,
+    // and tuples, with a column per position.
+    const tupleColumns = getTupleColumns(this.props.type);
+    const fields = Schema.getShapeFields(this.props.type) ||
+      Schema.getTaggedUnionFields(this.props.type) ||
+      tupleColumns;
+    const isPrimitiveSchema = fields === null;
+
+    // The fields of objects are ordered, grouped and hidden by their options. Tuple positions aren't.
+    const groups = isPrimitiveSchema
+      ? []
+      : tupleColumns !== null
+        ? [ { group: undefined, keys: Object.keys(tupleColumns) } ]
+        : Schema.getFieldGroups(fields);
+    const keys = groups.reduce((all, group) => all.concat(group.keys), []);
+    const hasGroups = groups.some(group => Schema.isSomething(group.group));
 
     // Used to render the footer for array schemas
-    const numberColumns = 2 + Object.keys(this.props.type).length
+    const numberColumns = 2 +
+      (this.props.keyColumn ? 1 : 0) +
+      (isPrimitiveSchema ? 1 : keys.length)
 
     return (
       <Table className={cx(BaseClassnames.Editor(), this.props.className)}>
         <TableHead>
+          { hasGroups && this.renderGroupTitles(groups) }
           <TableRow className={BaseClassnames.ColumnTitles()}>
             <TableCell padding="checkbox">
               {
-                this.props.onSelectAll &&
+                this.props.onSelectAll && !this.props.readOnly &&
                 <Checkbox checked={this.props.checked} indeterminate={this.props.indeterminate} onChange={this.props.onSelectAll}/>
               }
             </TableCell>
 
+            {
+              this.props.keyColumn &&
+              <TableCell>Key</TableCell>
+            }
+
             {
               isPrimitiveSchema
                 ? this.renderPrimitiveColumns()
-                : this.renderObjectColumns()
+                : this.renderObjectColumns(fields, keys, tupleColumns === null)
             }
 
             <TableCell>
@@ -159,6 +494,7 @@ export default class BaseTable extends React.Component {
               {/* This is the delete object column */}
             </TableCell>
           </TableRow>
+          { this.props.onFilterChange && this.renderFilters(isPrimitiveSchema ? null : fields, keys, tupleColumns === null) }
         </TableHead>
         <TableBody>
           {this.props.children}
@@ -15,13 +15,23 @@ import Paper from '@material-ui/core/Paper';
 import Checkbox from '@material-ui/core/Checkbox';
 import Button from '@material-ui/core/Button';
 import Select from '@material-ui/core/Select'
+import Menu from '@material-ui/core/Menu'
+import MenuItem from '@material-ui/core/MenuItem'
 import Add from '@material-ui/icons/Add'
 import Delete from '@material-ui/icons/Delete'
 import Edit from '@material-ui/icons/Edit'
-import InfoOutline from '@material-ui/icons/InfoOutline'
+import FilterList from '@material-ui/icons/FilterList'
+import Search from '@material-ui/icons/Search'
+import Visibility from '@material-ui/icons/Visibility'
+import InfoOutline from '@material-ui/icons/InfoOutlined'
+import MoreVert from '@material-ui/icons/MoreVert'
 import IconButton from '@material-ui/core/IconButton';
+import Badge from '@material-ui/core/Badge';
+import FormHelperText from '@material-ui/core/FormHelperText';
+import Input from '@material-ui/core/Input';
+import InputAdornment from '@material-ui/core/InputAdornment';
 
-import BaseTable, { BASE_EDITOR_PROPTYPES } from './BaseTable'
+import BaseTable, { BASE_EDITOR_PROPTYPES, SORT_PROPTYPE, VALIDATION_PROPTYPE } from './BaseTable'
 
 import ReactDOM from 'react-dom'
 window.findDOMNode = ReactDOM.findDOMNode.bind(ReactDOM)
@@ -67,12 +77,39 @@ export class ArrayEditor extends React.Component {
     // where newElement is the element to add
     onAddElement: PropTypes.func.isRequired,
 
+    // If false, new elements are passed to onAddElement without being validated
+    // against type (for consumers that handle validation themselves).
+    validateNewElements: PropTypes.bool,
+
+    // The smallest number of elements. Elements can't be removed below it.
+    minItems: PropTypes.number,
+
+    // The largest number of elements. New elements can't be added above it.
+    maxItems: PropTypes.number,
+
+    // If set, duplicate elements are highlighted (see the uniqueBy option of SchemaTypes.arrayOf)
+    uniqueBy: PropTypes.oneOfType([ PropTypes.bool, PropTypes.string, PropTypes.func ]),
+
+    // The columns the elements are sorted by (see Schema.sortIndices), for a controlled sort order.
+    // Without it, the editor keeps track of the sort order itself.
+    // Sorting only changes the order the elements are shown in: the object prop is never reordered,
+    // and the handlers are always passed the indices of the elements in it.
+    sort: SORT_PROPTYPE,
+
+    // Handler called with the new sort order when the title of a sortable column is clicked.
+    // Clicking sorts ascending, then descending, then not at all. Shift-click sorts by more than one column.
+    //
+    // function onSortChange (sort: [{ key: String, direction: String }]) -> void
+    onSortChange: PropTypes.func,
+
     // Optimize performance by only creating DOM if the parent is visible
     parentVisible: PropTypes.bool,
   };
 
   static defaultProps = {
     className: '',
+    path: '',
+    validateNewElements: true,
   };
 
   state = {
@@ -80,9 +117,123 @@ export class ArrayEditor extends React.Component {
 
     page: 0,
     rowsPerPage: 5,
+
+    // The sort order, unless it's controlled by the sort prop
+    sort: [],
+
+    // Only the elements that match the search text and the filters of the columns are shown
+    // (see Schema.filterIndices). The filters are cleared when they're hidden.
+    search: '',
+    filters: {},
+    showFilters: false,
+  }
+
+  // Returns the indices of the elements that match `search` and `filters`, in the order they're shown in
+  getElementIndices (search = this.state.search, filters = this.state.filters) {
+    const object = this.props.object || []
+    const sort = this.getSort()
+    const matching = new Set(Schema.filterIndices(this.props.type, search, filters, object))
+    const ordered = sort.length > 0
+      ? Schema.sortIndices(this.props.type, sort, object)
+      : R.range(0, object.length)
+
+    return ordered.filter(idx => matching.has(idx))
+  }
+
+  // Shows the elements that match `search` and `filters`, from the first page.
+  // Elements that no longer match are deselected, so that they can't be deleted without being seen.
+  applyFilters (search, filters) {
+    const selected = new Map(
+      this.getElementIndices(search, filters)
+        .filter(idx => this.state.selected.has(idx))
+        .map(idx => [ idx, true ])
+    )
+
+    this.setState({
+      search,
+      filters,
+      selected,
+      page: 0,
+    })
+  }
+
+  handleSearchChange = search => {
+    this.applyFilters(search, this.state.filters)
+  }
+
+  handleFilterChange = (key, filter) => {
+    this.applyFilters(
+      this.state.search,
+      Schema.isSomething(filter) ? { ...this.state.filters, [key]: filter } : R.dissoc(key, this.state.filters)
+    )
+  }
+
+  toggleFilters = () => {
+    if (this.state.showFilters) {
+      this.applyFilters(this.state.search, {})
+    }
+
+    this.setState({
+      showFilters: !this.state.showFilters,
+    })
+  }
+
+  // Returns the sort order. The entries of the sort prop that can't sort the elements
+  // (see Schema.checkSortEntry) are left out, with a warning (see warnAboutSort).
+  getSort () {
+    if (!Schema.isSomething(this.props.sort)) {
+      return this.state.sort
+    }
+
+    return Array.isArray(this.props.sort)
+      ? this.props.sort.filter(entry => Schema.checkSortEntry(this.props.type, entry) === null)
+      : []
+  }
+
+  // Warns about the entries of the sort prop that are left out of the sort order
+  warnAboutSort () {
+    if (!Array.isArray(this.props.sort)) {
+      return
+    }
+
+    this.props.sort
+      .map(entry => Schema.checkSortEntry(this.props.type, entry))
+      .filter(message => message !== null)
+      .forEach(message => console.warn(`ArrayEditor: ${message}, so it was left out of the sort order.`))
+  }
+
+  componentDidMount () {
+    this.warnAboutSort()
+  }
+
+  componentDidUpdate (prevProps) {
+    if (prevProps.sort !== this.props.sort || prevProps.type !== this.props.type) {
+      this.warnAboutSort()
+    }
+  }
+
+  handleSort = (key, multiple) => {
+    const sort = getNextSort(this.getSort(), key, multiple)
+    if (!Schema.isSomething(this.props.sort)) {
+      this.setState({ sort })
+    }
+
+    if (this.props.onSortChange) {
+      this.props.onSortChange(sort)
+    }
+  }
+
+  // Returns true if `count` elements can be removed without going below minItems
+  canRemove (count) {
+    const elementCount = this.props.object ? this.props.object.length : 0
+    return !Schema.isSomething(this.props.minItems) || elementCount - count >= this.props.minItems
   }
 
   handleDeleteElements (elementIndices) {
+    if (!this.canRemove(elementIndices.length)) {
+      return
+    }
+
     const removedByIndex = util.keyBy(R.identity, elementIndices)
     const selectedElements = new Map()
 
@@ -106,31 +257,64 @@ export class ArrayEditor extends React.Component {
   }
 
   render () {
+    const elementCount = this.props.object ? this.props.object.length : 0
+
+    // The indices of the elements that are shown, in the order they're shown in, and of the ones on this page.
+    // Pagination and "select all" only apply to the elements that are shown.
+    const elementIndices = this.getElementIndices()
+
     // TODO: is there an edge case here with adding/removing elements
-    const allElementsSelected = this.props.object
-      ? this.state.selected.size === this.props.object.length
-      : false
+    const allElementsSelected = elementIndices.length > 0 &&
+      elementIndices.every(idx => this.state.selected.has(idx))
 
-    const elementCount = this.props.object ? this.props.object.length : 0
+    const visibleIndices = elementIndices.slice(
+      this.state.page * this.state.rowsPerPage,
+      this.state.page * this.state.rowsPerPage + this.state.rowsPerPage,
+    )
+
+    // The validation errors of the elements, and of the array as a whole (e.g. too few elements)
+    const arrayType = Schema.SchemaTypes.arrayOf(this.props.type)({
+      minItems: this.props.minItems,
+      maxItems: this.props.maxItems,
+      uniqueBy: this.props.uniqueBy,
+    })
+    const validation = this.props.validation || validateDocument(arrayType, this.props.object)
+    const errors = this.props.showErrors === false ? [] : getValidationErrors(validation)
+    const arrayMessages = errors
+      .filter(error => error.path === '')
+      .map(error => error.message)
 
-    const visibleElements = this.props.object ?
-      this.props.object.slice(
-        this.state.page * this.state.rowsPerPage,
-        this.state.page * this.state.rowsPerPage + this.state.rowsPerPage,
-      ) :
-      []
+    const duplicates = Schema.isSomething(this.props.uniqueBy)
+      ? new Set(Schema.getDuplicateIndices(this.props.uniqueBy, this.props.object || []))
+      : new Set()
 
-    const realIndex = R.add(this.state.page * this.state.rowsPerPage)
+    const canAdd = !Schema.isSomething(this.props.maxItems) || elementCount < this.props.maxItems
 
     return (
       <Paper>
         <ArrayToolbar
           schema={this.props.type}
           onDeleteAll={() => this.handleDeleteElements(Array.from(this.state.selected.keys()))}
-          size={this.state.selected.size} />
+          deleteWarning={
+            this.canRemove(this.state.selected.size)
+              ? null
+              : `At least ${this.props.minItems} ${this.props.minItems === 1 ? 'element is' : 'elements are'} required`
+          }
+          size={this.props.readOnly ? 0 : this.state.selected.size}
+          search={this.state.search}
+          onSearchChange={this.handleSearchChange}
+          showFilters={this.state.showFilters}
+          onToggleFilters={hasColumnFilters(this.props.type) ? this.toggleFilters : undefined}
+          messages={arrayMessages}
+          errorCount={errors.length} />
         <BaseTable
           type={this.props.type}
           className={cx(BaseClassnames.Editor('--array'), this.props.className)}
+          readOnly={this.props.readOnly}
+          sort={this.getSort()}
+          onSort={this.handleSort}
+          filters={this.state.filters}
+          onFilterChange={this.state.showFilters ? this.handleFilterChange : undefined}
           onSelectAll={() => {
             if (allElementsSelected) {
               return this.setState({
@@ -139,14 +323,14 @@ export class ArrayEditor extends React.Component {
             }
 
             const selectAll = new Map()
-            this.props.object.forEach((el, idx) => selectAll.set(idx, true))
+            elementIndices.forEach(idx => selectAll.set(idx, true))
             return this.setState({
               selected: selectAll,
             })
           }}
           checked={allElementsSelected}
           indeterminate={!allElementsSelected && this.state.selected.size > 0}
-          totalElements={elementCount}
+          totalElements={elementIndices.length}
           rowsPerPage={this.state.rowsPerPage}
           page={this.state.page}
           onChangePage={(evt, page) => this.setState({ page })}
@@ -154,18 +338,26 @@ export class ArrayEditor extends React.Component {
         >
 
           {
-            visibleElements.map((el, visibleIndex) => {
-              const idx = realIndex(visibleIndex)
+            visibleIndices.map(idx => {
               return <ElementRow
                 parentVisible={this.props.parentVisible}
                 key={idx}
-                className={BaseClassnames.ElementRow('--array')}
+                className={cx(
+                  BaseClassnames.ElementRow('--array'),
+                  duplicates.has(idx) && [ BaseClassnames.ElementRow('--duplicate'), `${duplicateRow}` ]
+                )}
                 type={this.props.type}
-                object={el}
+                object={this.props.object[idx]}
+                renderers={this.props.renderers}
+                path={Schema.appendPointer(this.props.path, idx)}
+                validation={getChildValidation(validation, idx)}
+                showErrors={this.props.showErrors}
+                readOnly={this.props.readOnly}
                 onChange={updated => this.props.onUpdateElement(updated, idx)}
+                canRemove={this.canRemove(1)}
                 onRemove={() => this.handleDeleteElements([idx])}
                 isSelected={this.state.selected.has(idx)}
-                onSelect={() => {
+                onSelect={this.props.readOnly ? undefined : () => {
                   const isSelected = Boolean(this.state.selected.get(idx))
 
                   const selectElement = cloneMap(this.state.selected)
@@ -183,21 +375,56 @@ export class ArrayEditor extends React.Component {
             })
           }
 
-          <AddObjectRow
-            type={this.props.type}
-            onAddElement={this.props.onAddElement}/>
+          {
+            !this.props.readOnly &&
+            <AddObjectRow
+              parentVisible={this.props.parentVisible}
+              type={this.props.type}
+              renderers={this.props.renderers}
+              path={Schema.appendPointer(this.props.path, '-')}
+              disabled={!canAdd}
+              validateNewElements={this.props.validateNewElements}
+              onAddElement={this.props.onAddElement}/>
+          }
         </BaseTable>
       </Paper>
     );
   }
 }
 
+// Returns the sort order after the title of the column `key` is clicked: the column is sorted
+// ascending, then descending, then not at all. If `multiple` is false, the other columns
+// are no longer sorted by (and the column starts over at ascending, if there were any).
+function getNextSort (sort, key, multiple) {
+  const current = !multiple && sort.some(entry => entry.key !== key)
+    ? undefined
+    : sort.find(entry => entry.key === key)
+  const direction = !current
+    ? 'asc'
+    : current.direction === 'asc' ? 'desc' : null
+
+  if (!multiple) {
+    return direction ? [ { key, direction } ] : []
+  }
+
+  if (!current) {
+    return [ ...sort, { key, direction } ]
+  }
+
+  return direction
+    ? sort.map(entry => entry.key === key ? { key, direction } : entry)
+    : sort.filter(entry => entry.key !== key)
+}
+
 const toolbarDefault = glamor.css({
   justifyContent: 'space-between',
 })
 const toolbarSelected = glamor.css({
   background: '#f5015622',
 })
+const duplicateRow = glamor.css({
+  background: '#f4433611',
+})
 
 const BasicToolbar = props => {
   return <Toolbar className={`${toolbarDefault}`}>
@@ -207,24 +434,73 @@ const BasicToolbar = props => {
         <InfoOutline style={{ fontSize: '1em' }}/>
       </Div>
     </SchemaPopover>
+    <Div display="flex" alignItems="center">
+      { props.actions }
+      {
+        props.errorCount > 0 &&
+        <Div textAlign="right">
+          {
+            (props.messages || []).map((message, idx) =>
+              <Typography key={idx} color="error">{ message }</Typography>
+            )
+          }
+          <Typography color="error">
+            { props.errorCount } { props.errorCount === 1 ? 'error' : 'errors' }
+          </Typography>
+        </Div>
+      }
+    </Div>
   </Toolbar>
 }
 BasicToolbar.displayName = 'BasicToolbar'
 BasicToolbar.propTypes = {
   schema: Props.Schema.isRequired,
   title: PropTypes.node.isRequired,
+
+  // Number of validation errors in the editor. Shown if non-zero.
+  errorCount: PropTypes.number,
+
+  // Messages for the errors of the edited value as a whole, shown above the count
+  messages: PropTypes.arrayOf(PropTypes.string),
+
+  // Optional controls, shown before the errors
+  actions: PropTypes.node,
 }
 
 const ArrayToolbar = props => {
+  // The search box, and the button that shows the filters of the columns
+  const searchControls = (
+    <Div display="flex" alignItems="center" marginRight="8px">
+      <Input
+        className={BaseClassnames.EditorInput('--search')}
+        type="search"
+        placeholder="Search"
+        value={props.search}
+        inputProps={{ 'aria-label': 'Search elements' }}
+        startAdornment={<InputAdornment position="start"><Search /></InputAdornment>}
+        onChange={evt => props.onSearchChange(evt.target.value)}/>
+      {
+        props.onToggleFilters &&
+        <IconButton color={props.showFilters ? 'primary' : 'default'} aria-label="Filter elements" onClick={props.onToggleFilters}>
+          <FilterList />
+        </IconButton>
+      }
+    </Div>
+  )
+
   if (props.size === 0) {
-    return <BasicToolbar schema={props.schema} title="Array" />
+    return <BasicToolbar schema={props.schema} title="Array" errorCount={props.errorCount} messages={props.messages} actions={searchControls} />
   }
 
   return <Toolbar className={`${toolbarDefault} ${toolbarSelected}`}>
     <Typography variant="subheading">{ props.size } selected</Typography>
-    <IconButton color="default" aria-label="Delete selected elements" onClick={props.onDeleteAll}>
-      <Delete />
-    </IconButton>
+    <Div display="flex" alignItems="center">
+      { searchControls }
+      { props.deleteWarning && <Typography color="textSecondary">{ props.deleteWarning }</Typography> }
+      <IconButton color="default" aria-label="Delete selected elements" disabled={Boolean(props.deleteWarning)} onClick={props.onDeleteAll}>
+        <Delete />
+      </IconButton>
+    </Div>
   </Toolbar>
 }
 ArrayToolbar.displayName = 'ArrayToolbar'
@@ -232,6 +508,33 @@ ArrayToolbar.propTypes = {
   size: PropTypes.number.isRequired,
   onDeleteAll: PropTypes.func.isRequired,
   schema: Props.Schema.isRequired,
+  errorCount: PropTypes.number,
+  messages: PropTypes.arrayOf(PropTypes.string),
+
+  // If set, the selected elements can't be deleted, and this explains why
+  deleteWarning: PropTypes.string,
+
+  // The search text, and the handler called with the new text when it's changed
+  search: PropTypes.string.isRequired,
+  onSearchChange: PropTypes.func.isRequired,
+
+  // Whether the filters of the columns are shown, and the handler for the button that shows
+  // and hides them. Without the handler, there's no button.
+  showFilters: PropTypes.bool,
+  onToggleFilters: PropTypes.func,
+}
+
+// Returns true if any of the columns for elements of `type` can be filtered (see Schema.getFilterKind).
+// The positions of tuples can't be.
+function hasColumnFilters (type) {
+  if (Schema.getSchemaTypeName(Schema.resolveLazy(type)) === 'tuple') {
+    return false
+  }
+
+  const fields = Schema.getShapeFields(type) || Schema.getTaggedUnionFields(type)
+  return fields === null
+    ? Schema.getFilterKind(type) !== null
+    : Schema.getVisibleFieldKeys(fields).some(key => Schema.getFilterKind(fields[key]) !== null)
 }
 
 // A tabular editor for editing a single JSON object
@@ -243,9 +546,10 @@ class ObjectEditor extends React.Component {
 
     // The thing to edit. Can be either
     // * an object, string, or number with shape specified in type
+    // * an array, for tuples
     // * undefined
     object: PropTypes.oneOfType([
-      PropTypes.object, PropTypes.number, PropTypes.string, PropTypes.bool,
+      PropTypes.object, PropTypes.array, PropTypes.number, PropTypes.string, PropTypes.bool,
     ]),
 
     // Handler called when the object is updated
@@ -259,16 +563,23 @@ class ObjectEditor extends React.Component {
 
   static defaultProps = {
     className: '',
+    path: '',
   };
 
   render () {
-    const editorTitle = typeof this.props.type === 'object'
-      ? 'Object'
-      : capitalize(getSchemaTypeIdentifier(this.props.type))
+    // SchemaTypes with a label are titled by it
+    const editorTitle = (Schema.isSchemaType(this.props.type) && this.props.type.label) || (
+      Schema.getShapeFields(this.props.type)
+        ? 'Object'
+        : capitalize(getSchemaTypeIdentifier(Schema.resolveLazy(this.props.type)))
+    )
+
+    const validation = this.props.validation || validateDocument(this.props.type, this.props.object)
+    const errorCount = this.props.showErrors === false ? 0 : getValidationErrors(validation).length
 
     return (
       <Paper>
-        <BasicToolbar schema={this.props.type} title={editorTitle} />
+        <BasicToolbar schema={this.props.type} title={editorTitle} errorCount={errorCount} />
         <BaseTable type={this.props.type}
                    className={cx(BaseClassnames.Editor('--object'), this.props.className)}>
           {/* Object is just an individual object, so there's only one row */}
@@ -278,6 +589,11 @@ class ObjectEditor extends React.Component {
             trash={empty /* no trash button for single objects */}
             type={this.props.type}
             object={this.props.object}
+            renderers={this.props.renderers}
+            path={this.props.path}
+            validation={validation}
+            showErrors={this.props.showErrors}
+            readOnly={this.props.readOnly}
             onChange={this.props.onUpdateElement}
             onRemove={empty /* Can't remove a single object */}/>
         </BaseTable>
@@ -286,8 +602,374 @@ class ObjectEditor extends React.Component {
   }
 }
 
+// A tabular editor for editing a map: an object whose keys are chosen by the user,
+// and whose values all have the same schema (see SchemaTypes.objectOf)
+export class MapEditor extends React.Component {
+  static displayName = 'MapEditor';
+
+  static propTypes = {
+    ...BASE_EDITOR_PROPTYPES,
+
+    // The objectOf SchemaType of the map
+    type: Props.SchemaType.isRequired,
+
+    // The thing to edit. Must be either
+    // * an object with keys and values as specified in type
+    // * undefined
+    object: PropTypes.object,
+
+    // Handler called when an entry is added, removed, renamed or modified
+    // function onUpdateElement (updatedObject: Object) -> void
+    // updatedObject is the current object with updates applied
+    onUpdateElement: PropTypes.func.isRequired,
+
+    // If false, new values are added without being validated against the value type.
+    // New keys are always validated.
+    validateNewElements: PropTypes.bool,
+
+    // Optimize performance by only creating DOM if the parent is visible
+    parentVisible: PropTypes.bool,
+  };
+
+  static defaultProps = {
+    className: '',
+    path: '',
+    validateNewElements: true,
+  };
+
+  getObject () {
+    return this.props.object || {}
+  }
+
+  // Unsetting a value removes the entry
+  updateValue (key, value) {
+    if (value === undefined) {
+      return this.removeKey(key)
+    }
+
+    this.props.onUpdateElement(update(this.getObject(), { [key]: { $set: value } }))
+  }
+
+  renameKey (key, newKey) {
+    this.props.onUpdateElement(util.renameKey(key, newKey, this.getObject()))
+  }
+
+  removeKey (key) {
+    this.props.onUpdateElement(R.dissoc(key, this.getObject()))
+  }
+
+  addEntry = (key, value) => {
+    this.updateValue(key, value)
+
+    // Clear the add row
+    return true
+  }
+
+  render () {
+    const { valueType, keyPattern } = Schema.getSchemaTypeMetadata(this.props.type)
+    const keys = Object.keys(this.getObject())
+
+    const validation = this.props.validation || validateDocument(this.props.type, this.props.object)
+    const errorCount = this.props.showErrors === false ? 0 : getValidationErrors(validation).length
+
+    // Bad keys are shown by the key cells, rather than as errors of the values
+    const keyPaths = keys.map(key => Schema.appendPointer(validation.path, key))
+    const valueValidation = {
+      ...validation,
+      errors: validation.errors.filter(error => !(error.actual === 'key' && keyPaths.indexOf(error.path) !== -1)),
+    }
+
+    return (
+      <Paper>
+        <BasicToolbar schema={this.props.type} title="Map" errorCount={errorCount} />
+        <BaseTable type={valueType}
+                   keyColumn
+                   readOnly={this.props.readOnly}
+                   className={cx(BaseClassnames.Editor('--map'), this.props.className)}>
+          {
+            keys.map(key =>
+              <MapEntryRow
+                parentVisible={this.props.parentVisible}
+                key={key}
+                entryKey={key}
+                otherKeys={R.without([ key ], keys)}
+                keyPattern={keyPattern}
+                type={valueType}
+                value={this.getObject()[key]}
+                renderers={this.props.renderers}
+                path={Schema.appendPointer(this.props.path, key)}
+                validation={getChildValidation(valueValidation, key)}
+                showErrors={this.props.showErrors}
+                readOnly={this.props.readOnly}
+                onChange={value => this.updateValue(key, value)}
+                onRename={newKey => this.renameKey(key, newKey)}
+                onRemove={() => this.removeKey(key)}/>
+            )
+          }
+
+          {
+            !this.props.readOnly &&
+            <AddEntryRow
+              parentVisible={this.props.parentVisible}
+              type={valueType}
+              keys={keys}
+              keyPattern={keyPattern}
+              renderers={this.props.renderers}
+              path={Schema.appendPointer(this.props.path, '-')}
+              validateNewElements={this.props.validateNewElements}
+              onAddEntry={this.addEntry}/>
+          }
+        </BaseTable>
+      </Paper>
+    );
+  }
+}
+
+// Returns the validation errors for a key that's being added to (or renamed in) a map.
+// Keys can't be blank, can't be used by another entry, and must match the map's key pattern.
+function getKeyErrors (key, otherKeys, keyPattern) {
+  const message = (() => {
+    if (key === '') {
+      return 'Enter a key'
+    }
+
+    if (otherKeys.indexOf(key) !== -1) {
+      return `The key ${JSON.stringify(key)} is already used`
+    }
+
+    return Schema.checkMapKey(keyPattern, key)
+  })()
+
+  return message === null
+    ? []
+    : [{ path: '', expected: 'key', actual: 'key', message }]
+}
+
+// A table row for an entry of a map.
+// The key is only renamed once the user is done editing it (on blur or Enter), and only
+// if the new key is valid. Escape restores the current key.
+class MapEntryRow extends React.Component {
+  static displayName = 'MapEntryRow';
+
+  static propTypes = {
+    // The key of the entry
+    entryKey: PropTypes.string.isRequired,
+
+    // The keys of the other entries in the map
+    otherKeys: PropTypes.arrayOf(PropTypes.string).isRequired,
+
+    // The map's key pattern, or null for any key
+    keyPattern: PropTypes.instanceOf(RegExp),
+
+    // The schema of the value
+    type: Props.Schema.isRequired,
+
+    // The value of the entry
+    value: PropTypes.any,
+
+    // Handler called when the value is modified
+    // function onChange (updatedValue) -> void
+    onChange: PropTypes.func.isRequired,
+
+    // Handler called when the key is renamed
+    // function onRename (newKey: String) -> void
+    onRename: PropTypes.func.isRequired,
+
+    // Handler called when the user clicks the remove button
+    onRemove: PropTypes.func.isRequired,
+
+    // Custom cell components, and the JSON pointer of the row's value (see BASE_EDITOR_PROPTYPES)
+    renderers: PropTypes.object,
+    path: PropTypes.string,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
+
+    // If false, the value's validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // If true, neither the key nor the value can be changed
+    readOnly: PropTypes.bool,
+
+    // Optimize performance by only creating DOM if the parent is visible
+    parentVisible: PropTypes.bool,
+  };
+
+  state = {
+    // The key being typed
+    key: this.props.entryKey,
+  };
+
+  getKeyErrors () {
+    return getKeyErrors(this.state.key, this.props.otherKeys, this.props.keyPattern)
+  }
+
+  commitKey = () => {
+    if (this.state.key !== this.props.entryKey && this.getKeyErrors().length === 0) {
+      this.props.onRename(this.state.key)
+    }
+  }
+
+  cancelKey = () => {
+    this.setState({
+      key: this.props.entryKey,
+    })
+  }
+
+  renderKeyCell = () => {
+    return <KeyCell
+      value={this.state.key}
+      readOnly={this.props.readOnly}
+      errors={this.getKeyErrors()}
+      onChange={key => this.setState({ key })}
+      onCommit={this.commitKey}
+      onCancel={this.cancelKey}/>
+  }
+
+  render () {
+    return (
+      <ElementRow
+        parentVisible={this.props.parentVisible}
+        className={BaseClassnames.ElementRow('--map')}
+        keyCell={this.renderKeyCell}
+        type={this.props.type}
+        object={this.props.value}
+        renderers={this.props.renderers}
+        path={this.props.path}
+        validation={this.props.validation}
+        showErrors={this.props.showErrors}
+        readOnly={this.props.readOnly}
+        onChange={this.props.onChange}
+        onRemove={this.props.onRemove}/>
+    );
+  }
+}
+
+// Returns the value that a row for adding a new element of `type` starts with: the defaults of
+// the schema (see Schema.createDefault), or undefined if there aren't any.
+// Rows that start with undefined don't add anything until the user enters something.
+// (Null is a value like any other, for nullable types.)
+function createNewElement (type) {
+  const value = Schema.createDefault(type)
+  return value !== null && R.isEmpty(value)
+    ? undefined
+    : value
+}
+
+// A table row for adding a new entry to a map
+class AddEntryRow extends React.Component {
+  static displayName = 'AddEntryRow';
+
+  static propTypes = {
+    // The schema of the values
+    type: Props.Schema.isRequired,
+
+    // The keys already in the map
+    keys: PropTypes.arrayOf(PropTypes.string).isRequired,
+
+    // The map's key pattern, or null for any key
+    keyPattern: PropTypes.instanceOf(RegExp),
+
+    // Handler called when a new entry is added
+    // If this function returns anything truthy, the row is cleared (so a new entry can be added).
+    //
+    // function onAddEntry (key: String, value) -> boolean
+    onAddEntry: PropTypes.func.isRequired,
+
+    // If true, the new value is only passed to onAddEntry if it matches type.
+    validateNewElements: PropTypes.bool,
+
+    // Custom cell components, and the JSON pointer of the row's value (see BASE_EDITOR_PROPTYPES)
+    renderers: PropTypes.object,
+    path: PropTypes.string,
+
+    // Optimize performance by only creating DOM if the parent is visible
+    parentVisible: PropTypes.bool,
+  };
+
+  static defaultProps = {
+    validateNewElements: true,
+  };
+
+  state = {
+    key: '',
+
+    // Initialize with the defaults of the schema
+    value: createNewElement(this.props.type),
+
+    // Errors aren't shown until the user tries to add an invalid entry
+    showErrors: false,
+  };
+
+  // Handler called when the "add" button is clicked
+  add = () => {
+    const keyErrors = getKeyErrors(this.state.key, this.props.keys, this.props.keyPattern)
+    const valueErrors = this.props.validateNewElements
+      ? Schema.validate(this.props.type, this.state.value)
+      : []
+
+    if (keyErrors.length > 0 || valueErrors.length > 0) {
+      return this.setState({
+        showErrors: true,
+      })
+    }
+
+    // Nothing entered in fields yet
+    if (!Schema.isSomething(this.state.value)) {
+      return
+    }
+
+    const result = this.props.onAddEntry(this.state.key, this.state.value)
+
+    // If consumer returned true, reset fields.
+    if (result) {
+      return this.setState({
+        key: '',
+        value: createNewElement(this.props.type),
+        showErrors: false,
+      })
+    }
+  }
+
+  // Renders the "add entry" button
+  addButton = () => {
+    return <Button color="primary" variant="raised" onClick={this.add}>
+      New
+      <Add/>
+    </Button>
+  }
+
+  renderKeyCell = () => {
+    const errors = this.state.showErrors
+      ? getKeyErrors(this.state.key, this.props.keys, this.props.keyPattern)
+      : []
+
+    return <KeyCell
+      value={this.state.key}
+      errors={errors}
+      onChange={key => this.setState({ key })}/>
+  }
+
+  render () {
+    return (
+      <ElementRow
+        parentVisible={this.props.parentVisible}
+        className={BaseClassnames.AddObjectRow()}
+        showErrors={this.state.showErrors}
+        keyCell={this.renderKeyCell}
+        type={this.props.type}
+        trash={this.addButton}
+        object={this.state.value}
+        renderers={this.props.renderers}
+        path={this.props.path}
+        validation={validateDocument(this.props.type, this.state.value)}
+        onChange={value => this.setState({ value })}
+        onRemove={empty /* unused by this component */}/>
+    );
+  }
+}
+
 // A table row for adding a new element to an array
-// TODO: error handling, validation
 // TODO: support empty values for certain types
 class AddObjectRow extends React.Component {
   static displayName = 'AddObjectRow';
@@ -302,23 +984,58 @@ class AddObjectRow extends React.Component {
     //
     // function onAddElement (newElement: Object) -> boolean
     onAddElement: PropTypes.func.isRequired,
+
+    // If true, the new element is only passed to onAddElement if it matches type.
+    // Otherwise, the invalid fields are highlighted.
+    validateNewElements: PropTypes.bool,
+
+    // If true, the "add" button is disabled (e.g. because the array is full)
+    disabled: PropTypes.bool,
+
+    // Custom cell components, and the JSON pointer of the row's value (see BASE_EDITOR_PROPTYPES)
+    renderers: PropTypes.object,
+    path: PropTypes.string,
+
+    // Optimize performance by only creating DOM if the parent is visible
+    parentVisible: PropTypes.bool,
+  };
+
+  static defaultProps = {
+    validateNewElements: true,
   };
 
   constructor (props) {
     super(props);
 
     this.state = {
-      // Initialize with empty object
-      object: null,
+      // Initialize with the defaults of the schema
+      object: createNewElement(props.type),
+
+      // Errors aren't shown until the user tries to add an invalid element
+      showErrors: false,
     };
   }
 
   // Handler called when the "add" button is clicked
-  // Only pass to consumer if state is non-null -- user needs to enter something
+  // Only pass to consumer if the object is set -- user needs to enter something
   // before they can add additional elements.
   add = () => {
+    if (this.props.disabled) {
+      return;
+    }
+
+    if (this.props.validateNewElements) {
+      const errors = Schema.validate(this.props.type, this.state.object);
+
+      if (errors.length > 0) {
+        return this.setState({
+          showErrors: true,
+        });
+      }
+    }
+
     // Nothing entered in fields yet
-    if (this.state.object === null) {
+    if (!Schema.isSomething(this.state.object)) {
       return;
     }
 
@@ -327,14 +1044,15 @@ class AddObjectRow extends React.Component {
     // If consumer returned true, reset fields.
     if (result) {
       return this.setState({
-        object: null,
+        object: createNewElement(this.props.type),
+        showErrors: false,
       });
     }
   };
 
   // Renders the "add element" button
   addButton = () => {
-    return <Button color="primary" variant="raised" onClick={this.add}>
+    return <Button color="primary" variant="raised" disabled={this.props.disabled} onClick={this.add}>
       New
       <Add/>
     </Button>
@@ -352,16 +1070,311 @@ class AddObjectRow extends React.Component {
     const rowClasses = cx(BaseClassnames.AddObjectRow());
     return (
       <ElementRow
+        parentVisible={this.props.parentVisible}
         className={rowClasses}
+        showErrors={this.state.showErrors}
         type={this.props.type}
         trash={this.addButton}
         object={this.state.object}
+        renderers={this.props.renderers}
+        path={this.props.path}
+        validation={validateDocument(this.props.type, this.state.object)}
         onChange={this.updateObject}
         onRemove={empty /* unused by this component */}/>
     );
   }
 }
 
+// Wraps the contents of a cell in a td, along with any validation error messages.
+// Cells nested inside another cell (e.g. in a UnionCell) are "bare" and skip the td.
+// The outer cell shows the errors for bare cells.
+const CellContainer = props => {
+  if (props.bare) {
+    return <Div display="inline-flex" alignItems="center">{props.children}</Div>
+  }
+
+  const errors = props.errors || []
+  const cellClasses = cx(
+    props.className,
+    errors.length > 0 && BaseClassnames.Cell('--invalid')
+  )
+
+  return (
+    <TableCell className={cellClasses}>
+      {
+        props.menu
+          ? <Div display="flex" alignItems="center"><Div>{props.children}</Div>{props.menu}</Div>
+          : props.children
+      }
+      {
+        errors.map((error, idx) =>
+          <FormHelperText key={idx} error>{error.message}</FormHelperText>
+        )
+      }
+    </TableCell>
+  )
+}
+CellContainer.displayName = 'CellContainer'
+CellContainer.propTypes = {
+  bare: PropTypes.bool,
+  className: PropTypes.string,
+  children: PropTypes.node,
+
+  // Validation errors to show below the contents
+  errors: PropTypes.arrayOf(PropTypes.object),
+
+  // Optional menu for the value, shown after the contents (see renderValueMenu)
+  menu: PropTypes.node,
+}
+
+// Returns a description of a missing or null value, for cells that would otherwise show them
+// the same way as an empty value (e.g. as a placeholder). Returns undefined for any other value.
+function describeEmptyValue (value) {
+  if (value === null) {
+    return 'null'
+  }
+
+  return Schema.isSomething(value) ? undefined : 'unset'
+}
+
+// Returns the placeholder for the input of a cell: the `placeholder` option of its type, if it
+// has one. Null values are always described as null, so that they can be told apart.
+function getPlaceholder (props) {
+  return props.value !== null && props.type.placeholder
+    ? props.type.placeholder
+    : describeEmptyValue(props.value)
+}
+
+// Returns the value that a cell of `type` is cleared to, or undefined if the type doesn't have an empty value.
+function getEmptyValue (type) {
+  if (Schema.getShapeFields(type) !== null) {
+    return {}
+  }
+
+  switch (Schema.getSchemaTypeName(type)) {
+    case 'string':
+      return ''
+
+    case 'array':
+    case 'arrayOf':
+    case 'tuple':
+      return []
+
+    case 'object':
+    case 'objectOf':
+      return {}
+
+    default:
+      return undefined
+  }
+}
+
+// A menu button for choosing whether a value is empty, null or missing.
+// The value can be:
+//    cleared: set to the type's empty value (e.g. '' or []), for types that have one
+//    set to null: for nullable types (and the null type)
+//    unset: for optional types
+class ValueMenu extends React.Component {
+  static displayName = 'ValueMenu';
+
+  static propTypes = {
+    // The choices for the value
+    // [{ label: String, value: any }]
+    actions: PropTypes.arrayOf(PropTypes.object).isRequired,
+
+    // Current value of the cell
+    value: PropTypes.any,
+
+    // Handler called with the value of the chosen action
+    onChange: PropTypes.func.isRequired,
+  };
+
+  state = {
+    // The button the menu is open at, or null if it's closed
+    anchorEl: null,
+  };
+
+  open = evt => {
+    this.setState({
+      anchorEl: evt.currentTarget,
+    })
+  }
+
+  close = () => {
+    this.setState({
+      anchorEl: null,
+    })
+  }
+
+  // Returns the handler for choosing `action`
+  choose = action => () => {
+    this.close()
+    this.props.onChange(action.value)
+  }
+
+  render () {
+    return (
+      <Div display="inline-flex">
+        <IconButton color="default" aria-label="Value options" onClick={this.open}>
+          <MoreVert />
+        </IconButton>
+        <Menu anchorEl={this.state.anchorEl} open={this.state.anchorEl !== null} onClose={this.close}>
+          {
+            this.props.actions.map(action =>
+              <MenuItem
+                key={action.label}
+                disabled={R.equals(action.value, this.props.value)}
+                onClick={this.choose(action)}>
+                {action.label}
+              </MenuItem>
+            )
+          }
+        </Menu>
+      </Div>
+    )
+  }
+}
+
+// Returns the ValueMenu for a cell, based on the cell's props, or null if the cell's type
+// can't be cleared, set to null or unset. Bare cells leave the menu to the outer cell,
+// and read-only cells don't have one.
+function renderValueMenu (props) {
+  if (props.bare || props.readOnly) {
+    return null
+  }
+
+  const type = props.type
+  const emptyValue = getEmptyValue(type)
+  const isNullable = Schema.isSchemaType(type) && (type.nullable || Schema.getSchemaTypeName(type) === 'null')
+  const isOptional = !(Schema.isSchemaType(type) && type.required)
+
+  const actions = [
+    Schema.isSomething(emptyValue) && { label: 'Clear', value: emptyValue },
+    isNullable && { label: 'Set to null', value: null },
+    isOptional && { label: 'Unset', value: undefined },
+  ].filter(Boolean)
+
+  return actions.length > 0
+    ? <ValueMenu actions={actions} value={props.value} onChange={props.onChange}/>
+    : null
+}
+
+// Returns the validation (see VALIDATION_PROPTYPE) of `value` validated as a whole against `type`.
+// Editors validate the document once, and pass the validation on to their rows and cells.
+// (The elements in the rows for adding new elements aren't in the document yet, so they're validated on their own.)
+function validateDocument (type, value) {
+  return {
+    root: value,
+    path: '',
+    errors: Schema.validate(type, value),
+  }
+}
+
+// Returns the validation of the child `key` (a key or an index) of the value of `validation`
+function getChildValidation (validation, key) {
+  return {
+    ...validation,
+    path: Schema.appendPointer(validation.path, key),
+  }
+}
+
+// Returns the validation errors for the value of `validation` (and anything inside it),
+// with paths relative to the value
+function getValidationErrors (validation) {
+  const { path, errors } = validation
+
+  return errors
+    .filter(error => error.path === path || error.path.indexOf(path + '/') === 0)
+    .map(error => ({ ...error, path: error.path.slice(path.length) }))
+}
+
+// Returns the validation errors for the value of a cell, based on the cell's props.
+// Bare cells don't have errors of their own, and rows can opt out with showErrors={false}.
+function getCellErrors (props) {
+  if (props.bare || props.showErrors === false) {
+    return []
+  }
+
+  return getValidationErrors(props.validation)
+}
+
+// A td cell for editing the key of a map entry
+class KeyCell extends React.Component {
+  static displayName = 'KeyCell';
+
+  static propTypes = {
+    // Current text of the key
+    value: PropTypes.string.isRequired,
+
+    // Validation errors for the key
+    errors: PropTypes.arrayOf(PropTypes.object),
+
+    // Handler called with the new text when the key is modified
+    onChange: PropTypes.func.isRequired,
+
+    // Optional handler called when the user is done editing the key (on blur or Enter)
+    onCommit: PropTypes.func,
+
+    // Optional handler called when the user cancels editing the key (Escape)
+    onCancel: PropTypes.func,
+
+    // If true, the key is shown as text
+    readOnly: PropTypes.bool,
+  };
+
+  handleKeyDown = evt => {
+    if (evt.key === 'Enter' && this.props.onCommit) {
+      this.props.onCommit()
+    }
+
+    if (evt.key === 'Escape' && this.props.onCancel) {
+      this.props.onCancel()
+    }
+  }
+
+  render () {
+    const errors = this.props.errors || []
+
+    if (this.props.readOnly) {
+      return (
+        <CellContainer className={BaseClassnames.Cell('--key')} errors={errors}>
+          <Div whiteSpace="pre-wrap">{this.props.value}</Div>
+        </CellContainer>
+      );
+    }
+
+    const inputClasses = cx(
+      'form-control',
+      BaseClassnames.EditorInput(),
+      BaseClassnames.EditorInput('--key'),
+      errors.length > 0 && BaseClassnames.EditorInput('--invalid')
+    );
+
+    return (
+      <CellContainer className={BaseClassnames.Cell('--key')} errors={errors}>
+        <input
+          className={inputClasses}
+          type='text'
+          value={this.props.value}
+          required
+          spellCheck={false}
+          aria-label="Key"
+          aria-invalid={errors.length > 0}
+          onChange={evt => this.props.onChange(evt.target.value)}
+          onBlur={this.props.onCommit}
+          onKeyDown={this.handleKeyDown}/>
+      </CellContainer>
+    );
+  }
+}
+
+// Input types for the named string formats, so that browsers can offer a suitable keyboard
+// and autocompletion
+const STRING_FORMAT_INPUT_TYPES = {
+  email: 'email',
+  url: 'url',
+}
+
 // A td cell for editing a property whose type is anything but 'object'
 class StringCell extends React.Component {
   static displayName = 'StringCell';
@@ -375,24 +1388,302 @@ class StringCell extends React.Component {
 
     // Handler called when the value is modified
     onChange: PropTypes.func.isRequired,
+
+    // If true, the cell is nested inside another cell and renders without a td
+    bare: PropTypes.bool,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
   };
 
   render () {
+    const errors = getCellErrors(this.props)
+
     const inputClasses = cx(
       'form-control',
       BaseClassnames.EditorInput(),
-      BaseClassnames.EditorInput('--value')
+      BaseClassnames.EditorInput('--value'),
+      errors.length > 0 && BaseClassnames.EditorInput('--invalid')
     );
 
+    // The pattern isn't passed on to the input: HTML patterns are anchored and can't have flags,
+    // so the input's validity could disagree with the schema. Its errors are shown instead.
+    const { format, minLength, maxLength } = this.props.type
+
     return (
-      <TableCell className={BaseClassnames.Cell('--value')}>
+      <CellContainer bare={this.props.bare} className={BaseClassnames.Cell('--value')} errors={errors} menu={renderValueMenu(this.props)}>
         <input
           className={inputClasses}
-          type='text'
-          value={this.props.value || ''}
+          type={STRING_FORMAT_INPUT_TYPES[format] || 'text'}
+          value={stringToText(this.props.value)}
+          placeholder={getPlaceholder(this.props)}
           required={this.props.type.required}
+          minLength={minLength}
+          maxLength={maxLength}
+          spellCheck={format ? false : undefined}
+          aria-invalid={errors.length > 0}
           onChange={evt => this.props.onChange(evt.target.value)}/>
-      </TableCell>
+      </CellContainer>
+    );
+  }
+}
+
+// Converts a value to the text shown in a string input.
+// Missing and null values are blank (see describeEmptyValue), and other values that
+// aren't strings are still shown (e.g. 0).
+function stringToText (value) {
+  if (typeof value === 'string') {
+    return value
+  }
+
+  return Schema.isSomething(value) && value !== null
+    ? String(value)
+    : ''
+}
+
+// Converts the text in a number input to a number, using the following rules:
+//    blank text is undefined (the value is unset)
+//    text that's a finite number is that number
+//    anything else is NaN
+function textToNumber (text) {
+  if (text.trim() === '') {
+    return undefined
+  }
+
+  const number = Number(text)
+  return Number.isFinite(number) ? number : NaN
+}
+
+// Converts a value to the text shown in a number input
+function numberToText (value) {
+  return Schema.isSomething(value) && value !== null
+    ? String(value)
+    : ''
+}
+
+// A td cell for editing a property whose type is number
+// The cell keeps the text being typed, so that partial input (like "-" or "1e") can be
+// entered. The value is only updated when the text is a number (or blank).
+class NumberCell extends React.Component {
+  static displayName = 'NumberCell';
+
+  static propTypes = {
+    // The type of this cell
+    type: Props.Schema.isRequired,
+
+    // Current value of this cell
+    value: PropTypes.any,
+
+    // Handler called when the value is modified
+    onChange: PropTypes.func.isRequired,
+
+    // If true, the cell is nested inside another cell and renders without a td
+    bare: PropTypes.bool,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
+  };
+
+  state = {
+    text: numberToText(this.props.value),
+  };
+
+  // Pick up changes to the value that were made outside of this cell
+  componentDidUpdate (prevProps) {
+    if (prevProps.value !== this.props.value && textToNumber(this.state.text) !== this.props.value) {
+      this.setState({
+        text: numberToText(this.props.value),
+      })
+    }
+  }
+
+  handleChange = evt => {
+    const text = evt.target.value
+    this.setState({
+      text,
+    })
+
+    const number = textToNumber(text)
+    if (!Number.isNaN(number)) {
+      this.props.onChange(number)
+    }
+  }
+
+  // The up/down arrow keys step the value (by the type's step, or 1), within min and max
+  handleKeyDown = evt => {
+    const direction = { ArrowUp: 1, ArrowDown: -1 }[evt.key]
+    const current = textToNumber(this.state.text)
+    if (!direction || Number.isNaN(current)) {
+      return
+    }
+
+    evt.preventDefault()
+
+    const { min, max, step = 1 } = this.props.type
+    const stepped = R.clamp(
+      Schema.isSomething(min) ? min : -Infinity,
+      Schema.isSomething(max) ? max : Infinity,
+      // Round off floating point error (e.g. 0.1 + 0.2)
+      parseFloat(((current || 0) + direction * step).toPrecision(12))
+    )
+
+    this.setState({
+      text: numberToText(stepped),
+    })
+    this.props.onChange(stepped)
+  }
+
+  render () {
+    // Text that isn't a number never reaches the value, so it gets its own error
+    const errors = Number.isNaN(textToNumber(this.state.text))
+      ? [{ path: '', expected: 'number', actual: 'string', message: `"${this.state.text}" is not a number` }]
+      : getCellErrors(this.props)
+
+    const inputClasses = cx(
+      'form-control',
+      BaseClassnames.EditorInput(),
+      BaseClassnames.EditorInput('--value'),
+      BaseClassnames.EditorInput('--number'),
+      errors.length > 0 && BaseClassnames.EditorInput('--invalid')
+    );
+
+    return (
+      <CellContainer bare={this.props.bare} className={BaseClassnames.Cell('--value')} errors={errors} menu={renderValueMenu(this.props)}>
+        <input
+          className={inputClasses}
+          type='text'
+          inputMode={this.props.type.integer ? 'numeric' : 'decimal'}
+          value={this.state.text}
+          placeholder={getPlaceholder(this.props)}
+          required={this.props.type.required}
+          aria-invalid={errors.length > 0}
+          aria-valuemin={this.props.type.min}
+          aria-valuemax={this.props.type.max}
+          onKeyDown={this.handleKeyDown}
+          onChange={this.handleChange}/>
+      </CellContainer>
+    );
+  }
+}
+
+// Formats of the values of native date and datetime-local inputs
+const DATE_INPUT_FORMAT = 'YYYY-MM-DD'
+const DATETIME_INPUT_FORMAT = 'YYYY-MM-DDTHH:mm:ss'
+
+// The formats of dates in read-only cells, for types without a format of their own
+const DATE_DISPLAY_FORMAT = 'YYYY-MM-DD'
+const DATETIME_DISPLAY_FORMAT = 'YYYY-MM-DD HH:mm:ss'
+
+// A td cell for editing a property whose type is date
+// The date is picked with the browser's native date (or date and time) picker.
+// The SchemaType's options control how the date is edited and stored:
+//    storage: 'date' (a Date instance), 'iso' (an ISO 8601 string) or 'epoch' (milliseconds)
+//    timezone: 'local' or 'utc' -- the time zone the date is picked and displayed in
+//    time: if false, only the date is picked
+//    format: if specified, the value is also displayed in this format (see util.formatDate)
+class DateCell extends React.Component {
+  static displayName = 'DateCell';
+
+  static propTypes = {
+    // The type of this cell
+    type: Props.Schema.isRequired,
+
+    // Current value of this cell
+    value: PropTypes.any,
+
+    // Handler called when the value is modified
+    onChange: PropTypes.func.isRequired,
+
+    // If true, the cell is nested inside another cell and renders without a td
+    bare: PropTypes.bool,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
+  };
+
+  state = {
+    // Text that isn't a date (e.g. a day that doesn't exist), or null. It's shown with an error,
+    // rather than stored as some other date.
+    invalidText: null,
+  };
+
+  // A new value from outside replaces the invalid text
+  componentDidUpdate (prevProps) {
+    if (prevProps.value !== this.props.value && this.state.invalidText !== null) {
+      this.setState({
+        invalidText: null,
+      })
+    }
+  }
+
+  // Converts the input's value to the type's storage. A blank input unsets the value.
+  handleChange = evt => {
+    const text = evt.target.value
+    const date = text === ''
+      ? undefined
+      : util.parseDateInput(this.props.type.timezone, text)
+
+    this.setState({
+      invalidText: date === null ? text : null,
+    })
+
+    if (date !== null) {
+      return this.props.onChange(Schema.isSomething(date) ? util.toStoredDate(this.props.type, date) : undefined)
+    }
+  }
+
+  render () {
+    const { timezone, time = true, format } = this.props.type
+    const invalidText = this.state.invalidText
+    const errors = invalidText !== null
+      ? [{ path: '', expected: 'date', actual: 'string', message: `"${invalidText}" is not a valid date` }]
+      : getCellErrors(this.props)
+
+    // Values stored the wrong way (e.g. an ISO string for a Date) are still shown,
+    // and saved the right way on the next edit.
+    const date = util.toDate(this.props.value, timezone)
+    const inputFormat = time ? DATETIME_INPUT_FORMAT : DATE_INPUT_FORMAT
+
+    const inputClasses = cx(
+      'form-control',
+      BaseClassnames.EditorInput(),
+      BaseClassnames.EditorInput('--value'),
+      BaseClassnames.EditorInput('--date'),
+      errors.length > 0 && BaseClassnames.EditorInput('--invalid')
+    );
+
+    return (
+      <CellContainer bare={this.props.bare} className={BaseClassnames.Cell('--value')} errors={errors} menu={renderValueMenu(this.props)}>
+        <Div display="inline-flex" alignItems="center">
+          <input
+            className={inputClasses}
+            type={time ? 'datetime-local' : 'date'}
+            step={time ? 1 : undefined}
+            value={invalidText !== null ? invalidText : date ? util.formatDate(inputFormat, timezone, date) : ''}
+            required={this.props.type.required}
+            aria-invalid={errors.length > 0}
+            onChange={this.handleChange}/>
+          { timezone === 'utc' && <Div marginLeft="5px">UTC</Div> }
+        </Div>
+        {
+          format && date &&
+          <FormHelperText>{util.formatDate(format, timezone, date)}</FormHelperText>
+        }
+        {
+          // Date inputs don't show placeholders
+          this.props.value === null &&
+          <FormHelperText>{describeEmptyValue(this.props.value)}</FormHelperText>
+        }
+      </CellContainer>
     );
   }
 }
@@ -417,19 +1708,101 @@ class BooleanCell extends React.Component {
 
     // Handler called when the value is modified
     onChange: PropTypes.func.isRequired,
+
+    // If true, the cell is nested inside another cell and renders without a td
+    bare: PropTypes.bool,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
   };
 
   render () {
+    const errors = getCellErrors(this.props)
+
+    // Values that aren't booleans (e.g. null) get a blank option, rather than looking like false
+    const isBoolean = typeof this.props.value === 'boolean'
+
     return (
-      <TableCell className={BaseClassnames.Cell('--value')}>
+      <CellContainer bare={this.props.bare} className={BaseClassnames.Cell('--value')} errors={errors} menu={renderValueMenu(this.props)}>
         <Select
           native
-          value={String(Boolean(this.props.value))}
+          error={errors.length > 0}
+          value={isBoolean ? String(this.props.value) : ''}
           onChange={evt => this.props.onChange(stringToBoolean(evt.target.value))}>
+          { !isBoolean && <option value="" disabled>{describeEmptyValue(this.props.value)}</option> }
           <option value={true}>True</option>
           <option value={false}>False</option>
         </Select>
-      </TableCell>
+      </CellContainer>
+    );
+  }
+}
+
+// A td cell for editing a property whose type is oneOf
+// The options are the values passed to SchemaTypes.oneOf(). They're keyed by index
+// so that non-string values (numbers, booleans) survive the round trip.
+class EnumCell extends React.Component {
+  static displayName = 'EnumCell';
+
+  static propTypes = {
+    // The type of this cell
+    type: Props.Schema.isRequired,
+
+    // Current value of this cell
+    value: PropTypes.any,
+
+    // Handler called when the value is modified
+    onChange: PropTypes.func.isRequired,
+
+    // If true, the cell is nested inside another cell and renders without a td
+    bare: PropTypes.bool,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
+  };
+
+  // Handler for the native select. The blank option has the index -1 and unsets the value.
+  handleChange = evt => {
+    const index = util.parseDecimalInt(evt.target.value)
+    return this.props.onChange(
+      index === -1 ? undefined : Schema.getSchemaTypeMetadata(this.props.type).values[index]
+    )
+  }
+
+  render () {
+    const values = Schema.getSchemaTypeMetadata(this.props.type).values
+    const selectedIndex = values.indexOf(this.props.value)
+
+    // Required values can't be unset, but the blank option is still needed
+    // to display a value that isn't one of the options.
+    const showBlankOption = !this.props.type.required || selectedIndex === -1
+
+    const errors = getCellErrors(this.props)
+
+    return (
+      <CellContainer bare={this.props.bare} className={BaseClassnames.Cell('--value')} errors={errors} menu={renderValueMenu(this.props)}>
+        <Select
+          native
+          error={errors.length > 0}
+          value={String(selectedIndex)}
+          onChange={this.handleChange}>
+          {
+            showBlankOption &&
+            <option value={-1}>{selectedIndex === -1 ? describeEmptyValue(this.props.value) : ''}</option>
+          }
+          {
+            values.map((value, index) =>
+              <option key={index} value={index}>{String(value)}</option>
+            )
+          }
+        </Select>
+      </CellContainer>
     );
   }
 }
@@ -449,6 +1822,22 @@ class ObjectCell extends React.Component {
     // Handler called when the value is modified
     onChange: PropTypes.func.isRequired,
 
+    // If true, the cell is nested inside another cell and renders without a td
+    bare: PropTypes.bool,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
+
+    // Custom cell components, and the JSON pointer of the row's value (see BASE_EDITOR_PROPTYPES)
+    renderers: PropTypes.object,
+    path: PropTypes.string,
+
+    // If true, the nested editor only shows the value
+    readOnly: PropTypes.bool,
+
     // Optimize performance by only creating DOM if the parent is visible
     parentVisible: PropTypes.bool,
   };
@@ -465,7 +1854,12 @@ class ObjectCell extends React.Component {
     return (
       this.props.value !== nextProps.value ||
       this.state.open !== nextState.open ||
-      this.props.parentVisible !== nextProps.parentVisible
+      this.props.parentVisible !== nextProps.parentVisible ||
+      this.props.showErrors !== nextProps.showErrors ||
+      this.props.path !== nextProps.path ||
+      this.props.renderers !== nextProps.renderers ||
+      this.props.readOnly !== nextProps.readOnly ||
+      !R.equals(getValidationErrors(this.props.validation), getValidationErrors(nextProps.validation))
     )
   }
 
@@ -483,14 +1877,41 @@ class ObjectCell extends React.Component {
     });
   };
 
+  // Returns the validation for the nested editor: the cell's, so that custom validators see the
+  // whole document. Values that don't exist yet (e.g. the defaults the editor starts with) aren't
+  // in the document, so they don't have any errors until they're created.
+  getEditorValidation () {
+    return Schema.isSomething(this.props.value)
+      ? this.props.validation
+      : { ...this.props.validation, errors: [] }
+  }
+
   // Conditionally renders the value editor (depending on whether
   // the cell is toggled open)
   // TODO: too many conditionals here -- separate into different Cell classes
   renderEditor = () => {
+    // Maps have their own editor, which updates the whole map
+    if (Schema.getSchemaTypeName(this.props.type) === 'objectOf') {
+      return (
+        <MapEditor
+          parentVisible={this.state.open}
+          className={BaseClassnames.Editor('--inside')}
+          type={this.props.type}
+          object={this.props.value}
+          renderers={this.props.renderers}
+          path={this.props.path}
+          validation={this.getEditorValidation()}
+          showErrors={this.props.showErrors}
+          readOnly={this.props.readOnly}
+          onUpdateElement={this.props.onChange}/>
+      );
+    }
+
     // Whether or not to use an Array editor
-    const useArrayEditor = (
+    // Tuples are edited as a single row, with a cell per position
+    const useArrayEditor = Schema.getSchemaTypeName(this.props.type) !== 'tuple' && (
       // Use an array editor if the SchemaType is one of the array variants (array or arrayOf)
-      (this.props.type._type && this.props.type._type.match(/array/) !== null) ||
+      /array/.test(Schema.getSchemaTypeName(this.props.type)) ||
 
       // Also use one if the value is an array
       Array.isArray(this.props.value)
@@ -504,8 +1925,8 @@ class ObjectCell extends React.Component {
     // The type to pass to the editor -- if it's an object editor, that's just the current type.
     // If it's an array editor, we need to use the array's type.
     const editorType = useArrayEditor
-      // If we're using an array editor, use the types's own _elementType or allow any
-      ? this.props.type._elementType || Schema.SchemaTypes.any
+      // If we're using an array editor, use the types's own element type or allow any
+      ? (Schema.getSchemaTypeMetadata(this.props.type) || {}).elementType || Schema.SchemaTypes.any()
 
       // Otherwise use the existing type
       : this.props.type;
@@ -513,16 +1934,36 @@ class ObjectCell extends React.Component {
     // The value to use for array operations -- allows us to have an empty value.
     const arrayValue = this.props.value || [];
 
+    // Objects that don't exist yet are shown with their defaults, and created with them on the first change
+    const editorValue = !useArrayEditor && !Schema.isSomething(this.props.value)
+      ? Schema.createDefault(editorType)
+      : this.props.value;
+
+    // Array SchemaTypes pass their constraints on to the array editor
+    const arrayProps = useArrayEditor && Schema.isSchemaType(this.props.type)
+      ? {
+        minItems: this.props.type.minItems,
+        maxItems: this.props.type.maxItems,
+        uniqueBy: this.props.type.uniqueBy,
+      }
+      : {};
+
     // Cell is open -- render the value editor
 
     // TODO: pull these update/add/remove handlers out of the render func
     // TODO: separate Cells for arrays, since the onUpdateElement function sig is different
     return (
       <Editor
+        {...arrayProps}
         parentVisible={this.state.open}
         className={BaseClassnames.Editor('--inside')}
         type={editorType}
-        object={this.props.value}
+        object={editorValue}
+        renderers={this.props.renderers}
+        path={this.props.path}
+        validation={this.getEditorValidation()}
+        showErrors={this.props.showErrors}
+        readOnly={this.props.readOnly}
         onUpdateElement={
           /* This function needs to handle array and object property updates */
           (el, updatedIndex) => {
@@ -576,23 +2017,490 @@ class ObjectCell extends React.Component {
       return null
     }
 
+    // Errors for the value itself are shown in the cell. Errors inside the value
+    // can only be fixed in the nested editor, so they're counted on the edit button.
+    const errors = this.props.showErrors === false
+      ? []
+      : getValidationErrors(this.props.validation)
+    const [ valueErrors, nestedErrors ] = R.partition(error => error.path === '', errors)
+
+    // Read-only values can only be viewed
+    const Icon = this.props.readOnly ? Visibility : Edit
+    const editIcon = nestedErrors.length > 0
+      ? <Badge badgeContent={nestedErrors.length} color="error"><Icon /></Badge>
+      : <Icon />
+
+    // Missing and null values look the same in the nested editor
+    const emptyDescription = describeEmptyValue(this.props.value)
+
     return (
-      <TableCell className={BaseClassnames.Cell('--object')}>
+      <CellContainer bare={this.props.bare} className={BaseClassnames.Cell('--object')} errors={valueErrors} menu={renderValueMenu(this.props)}>
         <Pin visible={this.state.open} position="bottom" anchor="middle" alignment="middle"
              pinContent={this.renderEditor()}
              onScrimClick={this.state.open ? this.close : () => {}}
         >
-          <Div position="relative" display="block">
-            <IconButton color="default" aria-label="Edit value" onClick={this.clickEdit}>
-              <Edit />
+          <Div position="relative" display="flex" alignItems="center">
+            <IconButton color="default" aria-label={this.props.readOnly ? 'View value' : 'Edit value'} onClick={this.clickEdit}>
+              { editIcon }
             </IconButton>
+            { emptyDescription && <Div color="#888">{emptyDescription}</Div> }
           </Div>
         </Pin>
-      </TableCell>
+      </CellContainer>
+    );
+  }
+}
+
+// A td cell for editing a property whose type is oneOfType
+// A small picker chooses which of the union's members is being edited, and the
+// cell for that member is rendered next to it.
+class UnionCell extends React.Component {
+  static displayName = 'UnionCell';
+
+  static propTypes = {
+    // The type of this cell
+    type: Props.Schema.isRequired,
+
+    // Current value of this cell
+    value: PropTypes.any,
+
+    // Handler called when the value is modified
+    onChange: PropTypes.func.isRequired,
+
+    // If true, the cell is nested inside another cell and renders without a td
+    bare: PropTypes.bool,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
+
+    // Custom cell components, and the JSON pointer of the row's value (see BASE_EDITOR_PROPTYPES)
+    renderers: PropTypes.object,
+    path: PropTypes.string,
+
+    // Optimize performance by only creating DOM if the parent is visible
+    parentVisible: PropTypes.bool,
+  };
+
+  state = {
+    // Index of the member picked by the user, or null if the user hasn't picked one
+    pickedIndex: null,
+  };
+
+  // Returns true if the value matches the union's member `member`.
+  // Custom validators are passed the value's place in the document (see Schema.withConstraints).
+  matchesMember (member) {
+    const context = R.pick([ 'path', 'root' ], this.props.validation)
+    return Schema.matchesUnionMember(member, this.props.value, context)
+  }
+
+  // Returns the index of the member currently being edited.
+  // The user's pick wins as long as the value fits it (or is still empty),
+  // otherwise it's the first member the value matches.
+  getActiveIndex () {
+    const members = Schema.getSchemaTypeMetadata(this.props.type).types
+    const pickedIndex = this.state.pickedIndex
+
+    if (
+      pickedIndex !== null &&
+      (!Schema.isSomething(this.props.value) || this.matchesMember(members[pickedIndex]))
+    ) {
+      return pickedIndex
+    }
+
+    const matchingIndex = R.findIndex(
+      member => this.matchesMember(member),
+      members
+    )
+
+    if (matchingIndex !== -1) {
+      return matchingIndex
+    }
+
+    return pickedIndex === null ? 0 : pickedIndex
+  }
+
+  // Handler for the member picker.
+  // Values that don't fit the new member are cleared.
+  pickMember = evt => {
+    const index = util.parseDecimalInt(evt.target.value)
+    this.setState({
+      pickedIndex: index,
+    })
+
+    if (!this.matchesMember(Schema.getSchemaTypeMetadata(this.props.type).types[index])) {
+      this.props.onChange(undefined)
+    }
+  }
+
+  render () {
+    const members = Schema.getSchemaTypeMetadata(this.props.type).types
+    const activeIndex = this.getActiveIndex()
+    const activeMember = Schema.resolveLazy(members[activeIndex])
+
+    // Members can have custom renderers too (see getCustomRenderer)
+    const renderer = getCustomRenderer(this.props.renderers, members[activeIndex], this.props.path)
+    const MemberCell = renderer
+      ? CustomCell
+      : getCellComponent(activeMember, this.props.value)
+
+    return (
+      <CellContainer bare={this.props.bare} className={BaseClassnames.Cell('--union')} errors={getCellErrors(this.props)} menu={renderValueMenu(this.props)}>
+        <Div display="inline-flex" alignItems="center">
+          <Div marginRight="8px">
+            <Select
+              native
+              value={String(activeIndex)}
+              onChange={this.pickMember}>
+              {
+                members.map((member, index) =>
+                  <option key={index} value={index}>{getSchemaTypeIdentifier(Schema.resolveLazy(member))}</option>
+                )
+              }
+            </Select>
+          </Div>
+          <MemberCell
+            bare
+            key={activeIndex}
+            showErrors={this.props.showErrors}
+            parentVisible={this.props.parentVisible}
+            type={activeMember}
+            value={this.props.value}
+            renderer={renderer}
+            renderers={this.props.renderers}
+            path={this.props.path}
+            validation={this.props.validation}
+            onChange={this.props.onChange}/>
+        </Div>
+      </CellContainer>
+    );
+  }
+}
+
+// A td cell for picking the variant of an element whose type is taggedUnion (i.e. the value of its tag)
+// Picking another variant reshapes the element: the fields that the new variant shares are kept,
+// and the user has to confirm before the values of any other fields are dropped.
+class TagCell extends React.Component {
+  static displayName = 'TagCell';
+
+  static propTypes = {
+    // The taggedUnion type of the element
+    type: Props.Schema.isRequired,
+
+    // The whole element (the tag is one of its keys)
+    value: PropTypes.any,
+
+    // Handler called with the reshaped element when another variant is picked
+    onChange: PropTypes.func.isRequired,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
+
+    // If true, the variant is shown as text
+    readOnly: PropTypes.bool,
+  };
+
+  // Handler for the native select. The blank option is only there until a variant is picked.
+  pickVariant = evt => {
+    const { tag, variants } = Schema.getSchemaTypeMetadata(this.props.type)
+    const variantKey = evt.target.value
+    if (!Object.prototype.hasOwnProperty.call(variants, variantKey)) {
+      return
+    }
+
+    const element = Schema.isObject(this.props.value) ? this.props.value : {}
+    const fields = Schema.getShapeFields(variants[variantKey])
+    const droppedKeys = Object.keys(element).filter(
+      key => key !== tag && !Object.prototype.hasOwnProperty.call(fields, key)
+    )
+
+    // Only ask if something would actually be lost
+    const lostKeys = droppedKeys.filter(key => Schema.isSomething(element[key]))
+    if (
+      lostKeys.length > 0 &&
+      !window.confirm(`Changing ${tag} to "${variantKey}" will remove ${lostKeys.join(', ')}. Continue?`)
+    ) {
+      return
+    }
+
+    // Fields that are new to the element start with their defaults
+    return this.props.onChange({
+      ...Schema.createDefault(variants[variantKey]),
+      ...R.omit(droppedKeys, element),
+      [tag]: variantKey,
+    })
+  }
+
+  render () {
+    const { tag, variants } = Schema.getSchemaTypeMetadata(this.props.type)
+    const variant = Schema.getTaggedVariant(this.props.type, this.props.value)
+    const tagPath = Schema.appendPointer('', tag)
+
+    // Errors for the rest of the element are shown by the other cells (and the row)
+    const errors = this.props.showErrors === false
+      ? []
+      : getValidationErrors(this.props.validation).filter(error => error.path === tagPath)
+
+    if (this.props.readOnly) {
+      return (
+        <CellContainer className={BaseClassnames.Cell('--tag')} errors={errors}>
+          { variant === null ? <Div color="#888">unset</Div> : this.props.value[tag] }
+        </CellContainer>
+      );
+    }
+
+    return (
+      <CellContainer className={BaseClassnames.Cell('--tag')} errors={errors}>
+        <Select
+          native
+          error={errors.length > 0}
+          value={variant === null ? '' : this.props.value[tag]}
+          onChange={this.pickVariant}>
+          { variant === null && <option value="" /> }
+          {
+            Object.keys(variants).map(key =>
+              <option key={key} value={key}>{key}</option>
+            )
+          }
+        </Select>
+      </CellContainer>
+    );
+  }
+}
+
+// A td cell for a property whose type is null
+// There's nothing to edit, so it only shows whether the value is null (or missing), and
+// the menu to set or unset it.
+class NullCell extends React.Component {
+  static displayName = 'NullCell';
+
+  static propTypes = {
+    // The type of this cell
+    type: Props.Schema.isRequired,
+
+    // Current value of this cell
+    value: PropTypes.any,
+
+    // Handler called when the value is modified
+    onChange: PropTypes.func.isRequired,
+
+    // If true, the cell is nested inside another cell and renders without a td
+    bare: PropTypes.bool,
+
+    // If false, validation errors aren't shown
+    showErrors: PropTypes.bool,
+
+    // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+    validation: VALIDATION_PROPTYPE.isRequired,
+  };
+
+  render () {
+    const errors = getCellErrors(this.props)
+
+    return (
+      <CellContainer bare={this.props.bare} className={BaseClassnames.Cell('--value')} errors={errors} menu={renderValueMenu(this.props)}>
+        <Div fontFamily="monospace" color="#888">
+          { describeEmptyValue(this.props.value) || String(this.props.value) }
+        </Div>
+      </CellContainer>
     );
   }
 }
 
+// Returns the text for `value` in a read-only cell of the schema `type`:
+//    missing and null values are described (see describeEmptyValue)
+//    dates are formatted with the type's format (or as "YYYY-MM-DD HH:mm:ss")
+//    anything else that isn't a primitive is shown as JSON
+function formatValue (type, value) {
+  const emptyDescription = describeEmptyValue(value)
+  if (emptyDescription) {
+    return emptyDescription
+  }
+
+  const date = Schema.getSchemaTypeName(type) === 'date' ? util.toDate(value, type.timezone) : null
+  if (date !== null) {
+    const { timezone, time = true, format } = type
+    const displayFormat = format || (time ? DATETIME_DISPLAY_FORMAT : DATE_DISPLAY_FORMAT)
+    return util.formatDate(displayFormat, timezone, date) + (timezone === 'utc' && !format ? ' UTC' : '')
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'True' : 'False'
+  }
+
+  return typeof value === 'object'
+    ? JSON.stringify(value)
+    : String(value)
+}
+
+// A td cell that shows the value of a read-only property as text (see formatValue)
+const ReadOnlyCell = props => {
+  const emptyDescription = describeEmptyValue(props.value)
+
+  return (
+    <CellContainer bare={props.bare} className={BaseClassnames.Cell('--read-only')} errors={getCellErrors(props)}>
+      <Div whiteSpace="pre-wrap" color={emptyDescription ? '#888' : undefined}>
+        { formatValue(props.type, props.value) }
+      </Div>
+    </CellContainer>
+  )
+}
+ReadOnlyCell.displayName = 'ReadOnlyCell'
+ReadOnlyCell.propTypes = {
+  // The type of this cell
+  type: Props.Schema.isRequired,
+
+  // Current value of this cell
+  value: PropTypes.any,
+
+  // If true, the cell is nested inside another cell and renders without a td
+  bare: PropTypes.bool,
+
+  // If false, validation errors aren't shown
+  showErrors: PropTypes.bool,
+
+  // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+  validation: VALIDATION_PROPTYPE.isRequired,
+}
+
+// A td cell that renders a custom component (see getCustomRenderer) for the value
+const CustomCell = props => {
+  const errors = getCellErrors(props)
+  const Renderer = props.renderer
+
+  return (
+    <CellContainer bare={props.bare} className={BaseClassnames.Cell('--custom')} errors={errors} menu={renderValueMenu(props)}>
+      <Renderer
+        value={props.value}
+        onChange={props.onChange}
+        schema={props.type}
+        path={props.path}
+        errors={errors}
+        readOnly={Boolean(props.readOnly)}/>
+    </CellContainer>
+  )
+}
+CustomCell.displayName = 'CustomCell'
+CustomCell.propTypes = {
+  // The custom component
+  renderer: PropTypes.oneOfType([ PropTypes.func, PropTypes.object ]).isRequired,
+
+  // The type of this cell
+  type: Props.Schema.isRequired,
+
+  // Current value of this cell, and its JSON pointer
+  value: PropTypes.any,
+  path: PropTypes.string,
+
+  // Handler called when the value is modified
+  onChange: PropTypes.func.isRequired,
+
+  // If true, the cell is nested inside another cell and renders without a td
+  bare: PropTypes.bool,
+
+  // If false, validation errors aren't shown
+  showErrors: PropTypes.bool,
+
+  // The validation of the document the value is in (see VALIDATION_PROPTYPE)
+  validation: VALIDATION_PROPTYPE.isRequired,
+
+  // If true, the component is asked to only show the value
+  readOnly: PropTypes.bool,
+}
+
+// Returns true if the JSON pointer `path` matches `pattern`, a JSON pointer in which
+// "*" matches any single key or index
+function matchesPath (pattern, path) {
+  const patternKeys = pattern.split('/')
+  const pathKeys = path.split('/')
+
+  return patternKeys.length === pathKeys.length &&
+    patternKeys.every((key, idx) => key === '*' || key === pathKeys[idx])
+}
+
+// Returns the custom component for the value at the JSON pointer `path` of `schemaType`,
+// or null if the built-in cell should be used. In order, the component is:
+//    the renderer for a path matching `path` (the first one, if more than one matches)
+//    the `render` option of the SchemaType
+//    the renderer for the name of the type (e.g. "string", or "shape" for object schemas)
+//    the Cell of a registered SchemaType (see Schema.registerSchemaType)
+function getCustomRenderer (renderers, schemaType, path) {
+  const registry = renderers || {}
+
+  const pathPattern = Object.keys(registry)
+    .find(pattern => pattern.charAt(0) === '/' && matchesPath(pattern, path))
+  if (pathPattern) {
+    return registry[pathPattern]
+  }
+
+  // Lazy SchemaTypes can have a render option of their own, or use the one of the schema they stand for
+  const resolved = Schema.resolveLazy(schemaType)
+  const render = [ schemaType, resolved ]
+    .map(type => Schema.isSchemaType(type) ? type.render : undefined)
+    .find(Boolean)
+  if (render) {
+    return render
+  }
+
+  const typeName = getSchemaTypeIdentifier(resolved)
+  if (Object.prototype.hasOwnProperty.call(registry, typeName)) {
+    return registry[typeName]
+  }
+
+  const registered = Schema.getRegisteredSchemaType(typeName)
+  return registered && registered.Cell
+    ? registered.Cell
+    : null
+}
+
+// Returns the cell component used to edit `value`, a value of the schema `schemaType`.
+// Registered SchemaTypes without a Cell (see Schema.registerSchemaType) are edited as text,
+// unless the value is something other than a string, which is only shown.
+function getCellComponent (schemaType, value) {
+  const typeName = Schema.getSchemaTypeName(schemaType)
+  if (Schema.getRegisteredSchemaType(typeName) !== null) {
+    return !Schema.isSomething(value) || value === null || typeof value === 'string'
+      ? StringCell
+      : ReadOnlyCell
+  }
+
+  switch (typeName) {
+    case 'string':
+      return StringCell
+
+    case 'date':
+      return DateCell
+
+    case 'number':
+      return NumberCell
+
+    case 'boolean':
+      return BooleanCell
+
+    case 'null':
+      return NullCell
+
+    case 'oneOf':
+      return EnumCell
+
+    case 'oneOfType':
+      return UnionCell
+
+    default:
+      return ObjectCell
+  }
+}
+
+// Returns true if the schema `type` is a SchemaType with the readOnly option
+function isReadOnlyType (type) {
+  return Schema.isSchemaType(type) && Boolean(type.readOnly)
+}
+
 // Render an object as a row in a table.
 // The "trash" prop gets render as the furthest-right td.
 const ElementRow = props => {
@@ -601,13 +2509,19 @@ const ElementRow = props => {
   // Support null/undefined objects.
   const getChangeHandler = key => newValue => {
     // Element doesn't have a value at this key yet
-    // So create an object with this key
+    // So create an object with this key, and the defaults of the others
     if (!props.object) {
       return props.onChange({
+        ...Schema.createDefault(props.type),
         [key]: newValue
       });
     }
 
+    // Unsetting a value removes the key
+    if (newValue === undefined) {
+      return props.onChange(R.dissoc(key, props.object));
+    }
+
     // Set key = newValue and pass to consumer
     return props.onChange(update(
       props.object,
@@ -619,50 +2533,133 @@ const ElementRow = props => {
     ));
   };
 
+  // Tuples have a td per position
+  const tupleTypes = Schema.getSchemaTypeName(props.type) === 'tuple'
+    ? Schema.getSchemaTypeMetadata(props.type).elementTypes
+    : null
+
+  // For some position of a tuple, returns a handler that calls props.onChange with
+  // the tuple with newValue at that position.
+  // Missing tuples start with their defaults.
+  const getPositionHandler = idx => newValue => {
+    const tuple = Array.isArray(props.object)
+      ? props.object
+      : Schema.createDefault(props.type) || []
+
+    return props.onChange(
+      Array.from(
+        { length: Math.max(tuple.length, tupleTypes.length) },
+        (__, position) => position === idx ? newValue : tuple[position]
+      )
+    );
+  };
+
   // The trash button (if the consumer didn't specify one)
   const trashButton = (
-    <IconButton color="default" aria-label="Delete element" onClick={props.onRemove}>
+    <IconButton color="default" aria-label="Delete element" disabled={props.canRemove === false} onClick={props.onRemove}>
       <Delete />
     </IconButton>
   );
 
+  // The cells of read-only rows, and of elements whose SchemaType is read-only, only show their values
+  const rowReadOnly = Boolean(props.readOnly || isReadOnlyType(props.type))
+
   // Render a cell based on a primitive SchemaType, a value, and a handler
+  // Lazy SchemaTypes are edited like the schema they stand for.
+  // Custom renderers (see getCustomRenderer) are checked first.
+  // Read-only values are shown as text, except for objects and arrays, whose nested editors are read-only.
   const renderCell = (primitiveType, value, handler, key) => {
-    const CellType = (type => {
-      switch (type) {
-        case 'string':
-        case 'number':
-        case 'date':
-          return StringCell
-
-        case 'boolean':
-          return BooleanCell
-
-        default:
-          return ObjectCell
-      }
-    })(primitiveType._type)
+    const cellType = Schema.resolveLazy(primitiveType)
+    const path = typeof key === 'undefined'
+      ? props.path
+      : Schema.appendPointer(props.path, key)
+    const readOnly = rowReadOnly || isReadOnlyType(primitiveType) || isReadOnlyType(cellType)
+
+    const renderer = getCustomRenderer(props.renderers, primitiveType, path)
+    const CellType = renderer
+      ? CustomCell
+      : readOnly && getCellComponent(cellType, value) !== ObjectCell
+        ? ReadOnlyCell
+        : getCellComponent(cellType, value)
 
     return <CellType
       parentVisible={props.parentVisible}
+      showErrors={props.showErrors}
       key={key}
-      type={primitiveType}
+      type={cellType}
       value={value}
+      renderer={renderer}
+      renderers={props.renderers}
+      path={path}
+      validation={typeof key === 'undefined' ? props.validation : getChildValidation(props.validation, key)}
+      readOnly={readOnly}
       onChange={handler}/>
   };
 
-  // If props.type is a primitive (i.e. type._isSchemaType is true), we just render a single td
+  // Object schemas (plain objects or shape SchemaTypes) have a td per field
+  const fields = Schema.getShapeFields(props.type)
+
+  // Tagged unions have a td for the tag, and one for each field of any of the variants.
+  // Only the fields of the element's own variant can be edited.
+  const taggedUnionFields = Schema.getTaggedUnionFields(props.type)
+
+  // If props.type is a primitive (i.e. it has no fields), we just render a single td
   // based on props.type.
   // If props.type is an object, we render td:s for each key in the object.
   const renderElementBody = () => {
+    // Tuple case
+    if (tupleTypes !== null) {
+      return tupleTypes.map((positionType, idx) => renderCell(
+        positionType,
+        Array.isArray(props.object) ? props.object[idx] : undefined,
+        getPositionHandler(idx),
+        idx,
+      ));
+    }
+
+    // Tagged union case
+    if (taggedUnionFields !== null) {
+      const { tag } = Schema.getSchemaTypeMetadata(props.type)
+      const variant = Schema.getTaggedVariant(props.type, props.object)
+      const variantFields = variant === null ? {} : Schema.getShapeFields(variant)
+
+      return R.map(
+        key => {
+          if (key === tag) {
+            return <TagCell
+              key={key}
+              readOnly={rowReadOnly}
+              showErrors={props.showErrors}
+              type={props.type}
+              value={props.object}
+              validation={props.validation}
+              onChange={props.onChange}/>
+          }
+
+          // Fields of the other variants are left blank
+          if (!Object.prototype.hasOwnProperty.call(variantFields, key)) {
+            return <TableCell key={key} className={BaseClassnames.Cell('--unused')} />
+          }
+
+          return renderCell(
+            variantFields[key],
+            props.object[key],
+            getChangeHandler(key),
+            key,
+          );
+        },
+        Schema.getVisibleFieldKeys(taggedUnionFields)
+      );
+    }
+
     // Primitive case
-    if (props.type._isSchemaType) {
+    if (fields === null) {
       return renderCell(
         // Just use the type directly
         props.type,
 
         // Use the object directly
-        props.object || null,
+        props.object,
 
         // The change handler just returns the new value directly
         props.onChange
@@ -672,21 +2669,36 @@ const ElementRow = props => {
     // Object case
     return R.map(
       key => {
+        // Missing objects have missing values (so optional keys stay valid)
         const value = props.object
           ? props.object[key]
-          : null;
+          : undefined;
 
         return renderCell(
-          props.type[key],
+          fields[key],
           value,
           getChangeHandler(key),
           key,
         );
       },
-      Object.keys(props.type)
+      Schema.getVisibleFieldKeys(fields)
     );
   };
 
+  // Errors for an object as a whole (e.g. from a shape's custom validator) don't belong
+  // to any of the cells, so they're shown at the end of the row. So are the errors in hidden fields.
+  const objectFields = fields || taggedUnionFields
+  const hiddenPaths = objectFields === null
+    ? []
+    : R.difference(Object.keys(objectFields), Schema.getVisibleFieldKeys(objectFields))
+      .map(key => Schema.appendPointer('', key))
+  const isRowError = error => error.path === '' ||
+    hiddenPaths.some(path => error.path === path || error.path.indexOf(path + '/') === 0)
+
+  const rowErrors = (fields !== null || taggedUnionFields !== null || tupleTypes !== null) && props.showErrors !== false
+    ? getValidationErrors(props.validation).filter(isRowError)
+    : []
+
   const rowClasses = cx(
     BaseClassnames.ElementRow(),
     props.className || ''
@@ -701,6 +2713,8 @@ const ElementRow = props => {
         }
       </TableCell>
 
+      {props.keyCell && props.keyCell()}
+
       {/*
               * Render the "body" of the element -- for an object, cells for each key.
               * For a primitive, a single cell.
@@ -709,9 +2723,16 @@ const ElementRow = props => {
 
       <TableCell>
         {
-          props.trash
-            ? props.trash()
-            : trashButton
+          props.readOnly
+            ? null
+            : props.trash
+              ? props.trash()
+              : trashButton
+        }
+        {
+          rowErrors.map((error, idx) =>
+            <FormHelperText key={idx} error>{error.path === '' ? error.message : `${error.path}: ${error.message}`}</FormHelperText>
+          )
         }
       </TableCell>
     </TableRow>
@@ -726,6 +2747,9 @@ ElementRow.propTypes = {
   // Content for the trash button cell
   trash: PropTypes.func,
 
+  // Optional content for a key cell before the body, for the entries of a map
+  keyCell: PropTypes.func,
+
   // The element itself (should have the type `type`)
   object: PropTypes.any,
 
@@ -740,6 +2764,9 @@ ElementRow.propTypes = {
   // function onRemove () -> void
   onRemove: PropTypes.func.isRequired,
 
+  // If false, the remove button is disabled
+  canRemove: PropTypes.bool,
+
   // Handler called when the "select multiple" checkbox is clicked.
   // If this handler isn't supplied, the checkbox isn't rendered.
   onSelect: PropTypes.func,
@@ -750,8 +2777,24 @@ ElementRow.propTypes = {
   // Optional extra classes to add to the <tr />
   className: PropTypes.string,
 
+  // If false, the cells don't show validation errors
+  showErrors: PropTypes.bool,
+
+  // If true, the cells only show their values, and there's no remove button
+  readOnly: PropTypes.bool,
+
+  // Custom cell components, and the JSON pointer of the element (see BASE_EDITOR_PROPTYPES)
+  renderers: PropTypes.object,
+  path: PropTypes.string,
+
+  // The validation of the document the element is in (see VALIDATION_PROPTYPE)
+  validation: VALIDATION_PROPTYPE.isRequired,
+
   // Optimize performance by only creating DOM if the parent is visible
   parentVisible: PropTypes.bool,
 };
+ElementRow.defaultProps = {
+  path: '',
+};
 
 export { ObjectEditor };
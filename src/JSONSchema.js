@@ -0,0 +1,830 @@
+/*
+ * Conversion between JSON Schema (draft-07) documents and object-editor schemas.
+ */
+
+import {
+    SchemaTypes,
+    getRegisteredSchemaType,
+    getSchemaTypeMetadata,
+    getSchemaTypeName,
+    getShapeFields,
+    isObject,
+    isSchemaType,
+    isSomething,
+    validateSchema,
+} from './Schema';
+
+const DRAFT_07 = 'http://json-schema.org/draft-07/schema#';
+
+// JSON Schema string formats, and the named string formats (see Schema.STRING_FORMATS)
+// they correspond to.
+// The date formats are converted to date SchemaTypes instead.
+const FORMATS = {
+    email: 'email',
+    uri: 'url',
+    uuid: 'uuid',
+    hostname: 'hostname',
+};
+
+// Keywords that are known, but have no equivalent in object-editor schemas.
+// They're ignored with a warning.
+const UNSUPPORTED_KEYWORDS = [
+    'not', 'if', 'then', 'else',
+    'additionalItems', 'contains',
+    'patternProperties', 'dependencies', 'minProperties', 'maxProperties',
+];
+
+// Converts a JSON Schema document to an object-editor schema.
+//
+// Supported keywords:
+//      type, properties, required, items, enum, const, anyOf, oneOf, $ref (to a location in the
+//      same document, e.g. "#/definitions/Name"), and the string, number and array constraints
+//      (minItems, maxItems and uniqueItems).
+//      Recursive references become SchemaTypes.lazy().
+//      Objects with only additionalProperties (and optionally a propertyNames pattern) become
+//      SchemaTypes.objectOf().
+//      A list of "items" (with "minItems" for the required positions) becomes SchemaTypes.tuple().
+//      Unions (anyOf or oneOf) of objects that are told apart by a property with a different
+//      constant string value in each member become SchemaTypes.taggedUnion().
+//
+// Anything that can't be converted falls back to SchemaTypes.any(), and a warning is
+// passed to the `onWarning` option (console.warn by default).
+//
+// Usage:
+//
+//      const schema = fromJSONSchema({
+//          type: 'object',
+//          properties: {
+//              name: { type: 'string', minLength: 1 },
+//              tags: { type: 'array', items: { type: 'string' } },
+//          },
+//          required: ['name'],
+//      });
+//
+//      // Equivalent to:
+//      // {
+//      //     name: SchemaTypes.string({ required: true, minLength: 1 }),
+//      //     tags: SchemaTypes.arrayOf(SchemaTypes.string())(),
+//      // }
+export function fromJSONSchema (jsonSchema, opts = {}) {
+    const context = {
+        // The whole document, for resolving $refs
+        root: jsonSchema,
+
+        warn: opts.onWarning || (message => console.warn(message)),
+
+        // The $refs currently being resolved, for detecting recursion
+        resolving: [],
+
+        // The converted schemas of the $refs that have been resolved, for recursive references
+        converted: {},
+    };
+
+    // A root object is converted to a plain object schema (it can't be required anyway)
+    const schema = isRootObject(jsonSchema)
+        ? convertProperties(context, jsonSchema, '#')
+        : convert(context, jsonSchema, '#', false);
+
+    validateSchema(schema);
+    return schema;
+}
+
+// Returns true if `jsonSchema` is an object with properties, and nothing that would
+// need a SchemaType (like a union or a reference).
+function isRootObject (jsonSchema) {
+    return (
+        isObject(jsonSchema) &&
+        getType(jsonSchema) === 'object' &&
+        isObject(jsonSchema.properties) &&
+        Object.keys(jsonSchema.properties).length > 0 &&
+        !isSomething(jsonSchema.$ref) &&
+        !isSomething(jsonSchema.enum) &&
+        !isSomething(jsonSchema.const) &&
+        !isSomething(jsonSchema.anyOf) &&
+        !isSomething(jsonSchema.oneOf)
+    );
+}
+
+// Returns the type of a JSON schema, inferring it from the other keywords if
+// the type isn't specified.
+function getType (jsonSchema) {
+    if (isSomething(jsonSchema.type)) {
+        return jsonSchema.type;
+    }
+
+    if (isSomething(jsonSchema.properties)) {
+        return 'object';
+    }
+
+    if (isSomething(jsonSchema.items)) {
+        return 'array';
+    }
+
+    return undefined;
+}
+
+// Returns a SchemaType that accepts anything, after warning about the reason.
+function fallback (context, location, reason, required) {
+    context.warn(`${location}: ${reason}. Using SchemaTypes.any() instead.`);
+    return SchemaTypes.any({ required });
+}
+
+// Converts a JSON schema (at `location` in the document) to a SchemaType.
+function convert (context, jsonSchema, location, required) {
+    // Boolean schemas and empty schemas accept anything
+    if (jsonSchema === true || (isObject(jsonSchema) && Object.keys(jsonSchema).length === 0)) {
+        return SchemaTypes.any({ required });
+    }
+
+    if (jsonSchema === false) {
+        return fallback(context, location, 'The schema `false` is not supported', required);
+    }
+
+    if (!isObject(jsonSchema)) {
+        return fallback(context, location, `Expected a JSON schema, but got ${JSON.stringify(jsonSchema)}`, required);
+    }
+
+    warnUnsupportedKeywords(context, jsonSchema, location);
+
+    if (isSomething(jsonSchema.$ref)) {
+        return convertRef(context, jsonSchema.$ref, location, required);
+    }
+
+    if (isSomething(jsonSchema.allOf)) {
+        return fallback(context, location, 'The keyword "allOf" is not supported', required);
+    }
+
+    if (Array.isArray(jsonSchema.enum)) {
+        return SchemaTypes.oneOf(jsonSchema.enum)({ required });
+    }
+
+    if ('const' in jsonSchema) {
+        return SchemaTypes.oneOf([ jsonSchema.const ])({ required });
+    }
+
+    // oneOf is treated like anyOf: the value must match at least one of the members
+    const members = jsonSchema.anyOf || jsonSchema.oneOf;
+    if (Array.isArray(members)) {
+        const keyword = jsonSchema.anyOf ? 'anyOf' : 'oneOf';
+
+        // Objects that are told apart by a constant property are a tagged union
+        const tag = getDiscriminator(members);
+        if (tag !== null) {
+            return convertTaggedUnion(context, members, tag, `${location}/${keyword}`, required);
+        }
+
+        return SchemaTypes.oneOfType(
+            members.map((member, idx) => convert(context, member, `${location}/${keyword}/${idx}`, false))
+        )({ required });
+    }
+
+    const type = getType(jsonSchema);
+
+    // Multiple types are a union of each type
+    if (Array.isArray(type)) {
+        return SchemaTypes.oneOfType(
+            type.map(memberType => convertType(context, jsonSchema, memberType, location, false))
+        )({ required });
+    }
+
+    return convertType(context, jsonSchema, type, location, required);
+}
+
+
+// Keywords that are only supported for tuples (see convertTuple)
+const TUPLE_KEYWORDS = [ 'additionalItems' ];
+
+// Warns about each of the keywords of `jsonSchema` that can't be converted
+function warnUnsupportedKeywords (context, jsonSchema, location) {
+    const supported = Array.isArray(jsonSchema.items) ? TUPLE_KEYWORDS : [];
+
+    UNSUPPORTED_KEYWORDS
+        .filter(keyword => isSomething(jsonSchema[keyword]) && supported.indexOf(keyword) === -1)
+        .forEach(keyword => context.warn(`${location}: The keyword "${keyword}" is not supported and was ignored.`));
+}
+
+// Returns the string that a property schema only allows (with const, or an enum of one string),
+// or undefined if there isn't one.
+function getConstantString (propertySchema) {
+    if (!isObject(propertySchema)) {
+        return undefined;
+    }
+
+    const values = 'const' in propertySchema ? [ propertySchema.const ] : propertySchema.enum;
+    return Array.isArray(values) && values.length === 1 && typeof values[0] === 'string'
+        ? values[0]
+        : undefined;
+}
+
+// Returns the name of the property that tells the members of a union apart, or null if there
+// isn't one. Every member must be an object with properties, and give the property a different
+// constant string value.
+function getDiscriminator (members) {
+    const areObjects = members.length > 0 && members.every(member =>
+        isObject(member) &&
+        !isSomething(member.$ref) &&
+        getType(member) === 'object' &&
+        isObject(member.properties)
+    );
+
+    if (!areObjects) {
+        return null;
+    }
+
+    const candidates = Object.keys(members[0].properties).filter(key => {
+        const values = members.map(member => getConstantString(member.properties[key]));
+        return values.every(
+            (value, idx) => typeof value === 'string' && values.indexOf(value) === idx
+        );
+    });
+
+    return candidates.length > 0 ? candidates[0] : null;
+}
+
+// Converts the members of a union (at `location` in the document) that are told apart by
+// the property `tag` to a taggedUnion SchemaType.
+function convertTaggedUnion (context, members, tag, location, required) {
+    const variants = members.reduce(
+        (variants, member, idx) => {
+            const memberLocation = `${location}/${idx}`;
+            warnUnsupportedKeywords(context, member, memberLocation);
+
+            // The tag is up to the union, so the variant only has the other properties
+            const properties = Object.keys(member.properties)
+                .filter(key => key !== tag)
+                .reduce((properties, key) => ({ ...properties, [key]: member.properties[key] }), {});
+
+            return {
+                ...variants,
+                [getConstantString(member.properties[tag])]: convertProperties(context, { ...member, properties }, memberLocation),
+            };
+        },
+        {}
+    );
+
+    return SchemaTypes.taggedUnion(tag, variants)({ required });
+}
+
+// Converts a JSON schema with the single type `type` to a SchemaType.
+function convertType (context, jsonSchema, type, location, required) {
+    switch (type) {
+        case undefined:
+            return SchemaTypes.any({ required });
+
+        case 'string':
+            return convertString(context, jsonSchema, location, required);
+
+        case 'number':
+        case 'integer':
+            return SchemaTypes.number({
+                required,
+                integer: type === 'integer' || undefined,
+                ...numberConstraints(jsonSchema),
+            });
+
+        case 'boolean':
+            return SchemaTypes.boolean({ required });
+
+        case 'null':
+            return SchemaTypes.null({ required });
+
+        case 'array':
+            return convertArray(context, jsonSchema, location, required);
+
+        case 'object':
+            return convertObject(context, jsonSchema, location, required);
+
+        default:
+            return fallback(context, location, `The type "${type}" is not supported`, required);
+    }
+}
+
+// Converts a JSON schema with type "string" to a SchemaType
+function convertString (context, jsonSchema, location, required) {
+    const format = jsonSchema.format;
+
+    // Dates and times are stored as ISO strings
+    if (format === 'date' || format === 'date-time') {
+        return SchemaTypes.date({
+            required,
+            storage: 'iso',
+            time: format === 'date-time',
+        });
+    }
+
+    if (isSomething(format) && !FORMATS[format]) {
+        context.warn(`${location}: The string format "${format}" is not supported and was ignored.`);
+    }
+
+    return SchemaTypes.string(removeUndefined({
+        required,
+        minLength: jsonSchema.minLength,
+        maxLength: jsonSchema.maxLength,
+        pattern: jsonSchema.pattern,
+        format: FORMATS[format],
+    }));
+}
+
+// Returns the number SchemaType options for the constraints of a JSON schema
+// with type "number" or "integer".
+// The exclusive bounds become a custom validator. So does "multipleOf", unless it can be a
+// "step": steps count from "min", and "multipleOf" counts from 0 (see exportStep).
+function numberConstraints (jsonSchema) {
+    const { minimum, exclusiveMinimum, exclusiveMaximum, multipleOf } = jsonSchema;
+    const isStep = isSomething(multipleOf) && (!isSomething(minimum) || minimum % multipleOf === 0);
+    const checkMultipleOf = isSomething(multipleOf) && !isStep;
+
+    const validate = (isSomething(exclusiveMinimum) || isSomething(exclusiveMaximum) || checkMultipleOf)
+        ? value => {
+            if (isSomething(exclusiveMinimum) && value <= exclusiveMinimum) {
+                return `Must be greater than ${exclusiveMinimum}`;
+            }
+
+            if (isSomething(exclusiveMaximum) && value >= exclusiveMaximum) {
+                return `Must be less than ${exclusiveMaximum}`;
+            }
+
+            // Allow for floating point error in the division, like steps
+            const multiples = value / multipleOf;
+            if (checkMultipleOf && Math.abs(multiples - Math.round(multiples)) > 1e-9) {
+                return `Must be a multiple of ${multipleOf}`;
+            }
+
+            return null;
+        }
+        : undefined;
+
+    return removeUndefined({
+        min: minimum,
+        max: jsonSchema.maximum,
+        step: isStep ? multipleOf : undefined,
+        validate,
+    });
+}
+
+// Converts a JSON schema with type "array" to a SchemaType
+function convertArray (context, jsonSchema, location, required) {
+    const items = jsonSchema.items;
+
+    if (Array.isArray(items)) {
+        return convertTuple(context, jsonSchema, location, required);
+    }
+
+    const opts = removeUndefined({
+        required,
+        minItems: jsonSchema.minItems,
+        maxItems: jsonSchema.maxItems,
+        uniqueBy: jsonSchema.uniqueItems ? true : undefined,
+    });
+
+    if (!isSomething(items)) {
+        return SchemaTypes.array(opts);
+    }
+
+    return SchemaTypes.arrayOf(convert(context, items, `${location}/items`, false))(opts);
+}
+
+// Converts a JSON schema with a list of "items" (a schema per position) to a tuple SchemaType.
+// The first `minItems` positions are required.
+function convertTuple (context, jsonSchema, location, required) {
+    const minItems = jsonSchema.minItems || 0;
+
+    // Tuples never have more elements than positions, but JSON schemas allow additional items by default
+    if (!isSomething(jsonSchema.additionalItems)) {
+        context.warn(`${location}: Tuples can't have additional items, so items after the listed ones (allowed when "additionalItems" is missing) aren't allowed.`);
+    } else if (jsonSchema.additionalItems !== false) {
+        context.warn(`${location}: Tuples can't have additional items, so "additionalItems" was ignored.`);
+    }
+
+    [ 'maxItems', 'uniqueItems' ]
+        .filter(keyword => isSomething(jsonSchema[keyword]))
+        .forEach(keyword => context.warn(`${location}: The keyword "${keyword}" is not supported for tuples and was ignored.`));
+
+    return SchemaTypes.tuple(
+        jsonSchema.items.map((item, idx) => convert(context, item, `${location}/items/${idx}`, idx < minItems))
+    )({ required });
+}
+
+// Converts a JSON schema with type "object" to a SchemaType
+function convertObject (context, jsonSchema, location, required) {
+    const hasProperties = isObject(jsonSchema.properties) && Object.keys(jsonSchema.properties).length > 0;
+    const { additionalProperties, propertyNames } = jsonSchema;
+
+    // Objects with only additional properties are maps
+    if (!hasProperties && isObject(additionalProperties)) {
+        return SchemaTypes.objectOf(
+            convert(context, additionalProperties, `${location}/additionalProperties`, false),
+            { keyPattern: convertPropertyNames(context, propertyNames, location) }
+        )({ required });
+    }
+
+    if (isObject(additionalProperties)) {
+        context.warn(`${location}: Schemas for "additionalProperties" next to "properties" are not supported and were ignored.`);
+    }
+
+    if (isSomething(propertyNames)) {
+        context.warn(`${location}: The keyword "propertyNames" is only supported for maps, and was ignored.`);
+    }
+
+    // Objects without (known) properties can be any object
+    if (!hasProperties) {
+        return SchemaTypes.object({ required });
+    }
+
+    return SchemaTypes.shape(convertProperties(context, jsonSchema, location))({ required });
+}
+
+// Returns the key pattern for the "propertyNames" of a map, or undefined for any key.
+// Only patterns are supported.
+function convertPropertyNames (context, propertyNames, location) {
+    if (!isSomething(propertyNames)) {
+        return undefined;
+    }
+
+    const unsupported = Object.keys(propertyNames).filter(keyword => keyword !== 'pattern' && keyword !== 'type');
+    if (unsupported.length > 0) {
+        context.warn(`${location}/propertyNames: Only "pattern" is supported, so ${unsupported.map(keyword => `"${keyword}"`).join(', ')} was ignored.`);
+    }
+
+    return propertyNames.pattern;
+}
+
+// Converts the properties of a JSON schema with type "object" to an object schema
+function convertProperties (context, jsonSchema, location) {
+    const requiredProperties = jsonSchema.required || [];
+
+    return Object.keys(jsonSchema.properties).reduce(
+        (fields, key) => ({
+            ...fields,
+            [key]: convert(
+                context,
+                jsonSchema.properties[key],
+                `${location}/properties/${escapePointerSegment(key)}`,
+                requiredProperties.indexOf(key) !== -1
+            ),
+        }),
+        {}
+    );
+}
+
+// Converts the schema referenced by `ref` to a SchemaType.
+// Only references to locations in the same document are supported.
+function convertRef (context, ref, location, required) {
+    if (ref[0] !== '#') {
+        return fallback(context, location, `The external reference "${ref}" is not supported`, required);
+    }
+
+    // Recursive references are lazy, since the referenced schema isn't converted yet
+    if (context.resolving.indexOf(ref) !== -1) {
+        return SchemaTypes.lazy(() => context.converted[ref])({ required });
+    }
+
+    const target = resolvePointer(context.root, ref.slice(1));
+    if (!isSomething(target)) {
+        return fallback(context, location, `The reference "${ref}" could not be resolved`, required);
+    }
+
+    context.resolving.push(ref);
+    const schemaType = convert(context, target, ref, required);
+    context.resolving.pop();
+
+    context.converted[ref] = schemaType;
+
+    return schemaType;
+}
+
+// Returns the value at the JSON pointer `pointer` in `document`, or undefined
+// if there's no such value.
+function resolvePointer (document, pointer) {
+    if (pointer === '') {
+        return document;
+    }
+
+    return pointer
+        .split('/')
+        .slice(1)
+        .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce(
+            (value, key) => (value !== null && typeof value === 'object') ? value[key] : undefined,
+            document
+        );
+}
+
+// Escapes a key for use in a JSON pointer
+function escapePointerSegment (key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Returns a copy of `object` without its undefined values
+function removeUndefined (object) {
+    return Object.keys(object)
+        .filter(key => isSomething(object[key]))
+        .reduce((memo, key) => ({ ...memo, [key]: object[key] }), {});
+}
+
+// Converts an object-editor schema to a JSON Schema (draft-07) document.
+//
+// Options that can't be expressed in JSON Schema (like custom `validate` functions)
+// are left out, and a warning is passed to the `onWarning` option (console.warn by default).
+//
+// Usage:
+//
+//      const jsonSchema = toJSONSchema({
+//          name: SchemaTypes.string({ required: true, minLength: 1 }),
+//          tags: SchemaTypes.arrayOf(SchemaTypes.string())(),
+//      });
+//
+//      // {
+//      //     $schema: 'http://json-schema.org/draft-07/schema#',
+//      //     type: 'object',
+//      //     properties: {
+//      //         name: { type: 'string', minLength: 1 },
+//      //         tags: { type: 'array', items: { type: 'string' } },
+//      //     },
+//      //     required: [ 'name' ],
+//      // }
+export function toJSONSchema (schema, opts = {}) {
+    validateSchema(schema);
+
+    const context = {
+        warn: opts.onWarning || (message => console.warn(message)),
+
+        // The schemas of lazy SchemaTypes, and their names in the definitions
+        definitions: {},
+        definitionNames: new Map(),
+    };
+
+    const jsonSchema = {
+        $schema: DRAFT_07,
+        ...exportSchema(context, schema, '#'),
+    };
+
+    return context.definitionNames.size > 0
+        ? { ...jsonSchema, definitions: context.definitions }
+        : jsonSchema;
+}
+
+// Named string formats, and the JSON Schema formats they correspond to
+const EXPORTED_FORMATS = Object.keys(FORMATS).reduce(
+    (formats, format) => ({ ...formats, [FORMATS[format]]: format }),
+    {}
+);
+
+// Converts a schema (at `location` in the document) to a JSON schema
+function exportSchema (context, schema, location) {
+    const jsonSchema = exportType(context, schema, location);
+
+    return isSchemaType(schema) && schema.nullable
+        ? exportNullable(jsonSchema)
+        : jsonSchema;
+}
+
+// Returns a version of the JSON schema `jsonSchema` that also accepts null
+function exportNullable (jsonSchema) {
+    // Anything already includes null
+    if (Object.keys(jsonSchema).length === 0) {
+        return jsonSchema;
+    }
+
+    if (Array.isArray(jsonSchema.enum)) {
+        return { ...jsonSchema, enum: [ ...jsonSchema.enum, null ] };
+    }
+
+    if (typeof jsonSchema.type === 'string') {
+        return { ...jsonSchema, type: [ jsonSchema.type, 'null' ] };
+    }
+
+    if (Array.isArray(jsonSchema.anyOf) && Object.keys(jsonSchema).length === 1) {
+        return { anyOf: [ ...jsonSchema.anyOf, { type: 'null' } ] };
+    }
+
+    return { anyOf: [ jsonSchema, { type: 'null' } ] };
+}
+
+// Converts a schema (at `location` in the document) to a JSON schema, leaving out
+// the `nullable` option (see exportSchema)
+function exportType (context, schema, location) {
+    if (isSchemaType(schema) && isSomething(schema.validate)) {
+        context.warn(`${location}: Custom "validate" functions can't be exported and were left out.`);
+    }
+
+    // Lazy SchemaTypes are referenced, so that recursive schemas can refer to themselves
+    if (getSchemaTypeName(schema) === 'lazy') {
+        return { $ref: `#/definitions/${exportDefinition(context, schema)}` };
+    }
+
+    const fields = getShapeFields(schema);
+    if (fields) {
+        return exportFields(context, fields, location);
+    }
+
+    const metadata = getSchemaTypeMetadata(schema);
+    switch (metadata.type) {
+        case 'any':
+            return {};
+
+        case 'string':
+            return removeUndefined({
+                type: 'string',
+                minLength: schema.minLength,
+                maxLength: schema.maxLength,
+                pattern: exportPattern(context, schema.pattern, location),
+                format: EXPORTED_FORMATS[schema.format],
+            });
+
+        case 'number':
+            return removeUndefined({
+                type: schema.integer ? 'integer' : 'number',
+                minimum: schema.min,
+                maximum: schema.max,
+                multipleOf: exportStep(context, schema, location),
+            });
+
+        case 'boolean':
+            return { type: 'boolean' };
+
+        case 'null':
+            return { type: 'null' };
+
+        // Date instances are serialized as ISO strings (with a time, even if the SchemaType has none).
+        // ISO strings without a time are stored as dates.
+        case 'date':
+            if (schema.storage === 'epoch') {
+                return { type: 'number' };
+            }
+
+            return {
+                type: 'string',
+                format: schema.storage === 'iso' && schema.time === false ? 'date' : 'date-time',
+            };
+
+        case 'array':
+            return removeUndefined({
+                type: 'array',
+                ...exportArrayConstraints(context, schema, location),
+            });
+
+        case 'object':
+            return { type: 'object' };
+
+        case 'arrayOf':
+            return removeUndefined({
+                type: 'array',
+                items: exportSchema(context, metadata.elementType, `${location}/items`),
+                ...exportArrayConstraints(context, schema, location),
+            });
+
+        case 'tuple':
+            return removeUndefined({
+                type: 'array',
+                items: metadata.elementTypes.map((type, idx) => exportSchema(context, type, `${location}/items/${idx}`)),
+                additionalItems: false,
+                minItems: exportMinItems(metadata.elementTypes),
+            });
+
+        case 'objectOf': {
+            const keyPattern = metadata.keyPattern
+                ? exportPattern(context, metadata.keyPattern, `${location}/propertyNames`)
+                : undefined;
+
+            return removeUndefined({
+                type: 'object',
+                additionalProperties: exportSchema(context, metadata.valueType, `${location}/additionalProperties`),
+                propertyNames: isSomething(keyPattern) ? { pattern: keyPattern } : undefined,
+            });
+        }
+
+        case 'oneOf':
+            return { enum: metadata.values };
+
+        case 'oneOfType':
+            return {
+                anyOf: metadata.types.map((type, idx) => exportSchema(context, type, `${location}/anyOf/${idx}`)),
+            };
+
+        case 'taggedUnion':
+            return {
+                oneOf: Object.keys(metadata.variants).map(
+                    (key, idx) => exportVariant(context, metadata.tag, key, metadata.variants[key], `${location}/oneOf/${idx}`)
+                ),
+            };
+
+        default: {
+            // Registered SchemaTypes can export themselves
+            const registered = getRegisteredSchemaType(metadata.type);
+            if (registered && registered.toJSONSchema) {
+                return registered.toJSONSchema(schema);
+            }
+
+            context.warn(`${location}: The type "${metadata.type}" can't be exported. Using {} (any value) instead.`);
+            return {};
+        }
+    }
+}
+
+// Adds the schema of the lazy SchemaType `schema` to the definitions (unless it's
+// already there), and returns its name.
+function exportDefinition (context, schema) {
+    if (!context.definitionNames.has(schema)) {
+        const name = `lazy${context.definitionNames.size + 1}`;
+        context.definitionNames.set(schema, name);
+        context.definitions[name] = exportSchema(
+            context,
+            getSchemaTypeMetadata(schema).resolve(),
+            `#/definitions/${name}`
+        );
+    }
+
+    return context.definitionNames.get(schema);
+}
+
+// Converts the fields of an object schema to a JSON schema with type "object"
+function exportFields (context, fields, location) {
+    const keys = Object.keys(fields);
+    const required = keys.filter(key => isSchemaType(fields[key]) && fields[key].required);
+
+    const jsonSchema = {
+        type: 'object',
+        properties: keys.reduce(
+            (properties, key) => ({
+                ...properties,
+                [key]: exportSchema(context, fields[key], `${location}/properties/${escapePointerSegment(key)}`),
+            }),
+            {}
+        ),
+    };
+
+    return required.length > 0
+        ? { ...jsonSchema, required }
+        : jsonSchema;
+}
+
+// Converts the variant of a taggedUnion whose tag is `key` to a JSON schema with type "object",
+// with a required `tag` property that's always `key`.
+function exportVariant (context, tag, key, variant, location) {
+    const jsonSchema = exportSchema(context, variant, location);
+
+    return {
+        ...jsonSchema,
+        properties: { [tag]: { const: key }, ...jsonSchema.properties },
+        required: [ tag, ...(jsonSchema.required || []) ],
+    };
+}
+
+// Returns the minItems of a tuple with the positions `types`: the number of positions up to the
+// last required one, or undefined if none of them are required.
+function exportMinItems (types) {
+    const minItems = types.reduce(
+        (min, type, idx) => isSchemaType(type) && type.required ? idx + 1 : min,
+        0
+    );
+
+    return minItems > 0 ? minItems : undefined;
+}
+
+// Returns the JSON schema keywords for the minItems, maxItems and uniqueBy options of an array SchemaType.
+// Only whole elements (uniqueBy: true) can be required to be unique in a JSON schema.
+function exportArrayConstraints (context, schema, location) {
+    const uniqueBy = schema.uniqueBy;
+    if (isSomething(uniqueBy) && uniqueBy !== true) {
+        context.warn(`${location}: A "uniqueBy" key or function can't be exported and was left out.`);
+    }
+
+    return {
+        minItems: schema.minItems,
+        maxItems: schema.maxItems,
+        uniqueItems: uniqueBy === true ? true : undefined,
+    };
+}
+
+// Returns the JSON schema pattern for `pattern` (a RegExp, or a string with the source of one).
+// JSON schema patterns can't have flags, so RegExps with flags (other than "g", which doesn't
+// change what they match) are left out.
+function exportPattern (context, pattern, location) {
+    if (!(pattern instanceof RegExp)) {
+        return pattern;
+    }
+
+    const flags = pattern.flags.replace('g', '');
+    if (flags !== '') {
+        context.warn(`${location}: The pattern ${pattern} has flags ("${flags}"), which JSON schema patterns can't have, so it was left out.`);
+        return undefined;
+    }
+
+    return pattern.source;
+}
+
+// Returns the multipleOf for the `step` of a number SchemaType.
+// Steps are counted from `min`, so they can only be exported if `min` is a multiple of the step.
+function exportStep (context, schema, location) {
+    if (!isSomething(schema.step)) {
+        return undefined;
+    }
+
+    if (isSomething(schema.min) && schema.min % schema.step !== 0) {
+        context.warn(`${location}: A "step" counted from a "min" that isn't a multiple of it can't be exported and was left out.`);
+        return undefined;
+    }
+
+    return schema.step;
+}
@@ -7,6 +7,50 @@ export function isValidDate (test) {
     return !isNaN(test.getTime());
 }
 
+// Returns true if `test` is an ISO 8601 date string (a date, or a date and time)
+// for a valid date. The day has to exist in its month (so '2024-02-31' isn't valid).
+export function isISODateString (test) {
+    if (
+        typeof test !== 'string' ||
+        !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(test) ||
+        isNaN(Date.parse(test))
+    ) {
+        return false;
+    }
+
+    // Date.parse rolls impossible days over into the next month, so check that the date round-trips
+    const [ year, month, day ] = test.slice(0, 10).split('-').map(Number);
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Returns true if `test` is a finite number of milliseconds since the epoch
+export function isEpochMilliseconds (test) {
+    return typeof test === 'number' && isFinite(test);
+}
+
+// Returns the validator for dates stored in the format `storage`:
+//      'date' (the default): a valid Date instance
+//      'iso': an ISO 8601 string
+//      'epoch': milliseconds since the epoch
+export function dateValidator (storage = 'date') {
+    switch (storage) {
+        case 'date':
+            return isValidDate;
+
+        case 'iso':
+            return isISODateString;
+
+        case 'epoch':
+            return isEpochMilliseconds;
+
+        default:
+            throw new Error(`Expected "storage" to be one of "date", "iso" or "epoch", but got ${storage}`);
+    }
+}
+
 // Returns a function that takes a test variable and returns true
 // if it's type is equal to `type`
 export function typeValidator (type) {
@@ -43,20 +87,175 @@ export function every (array, predicate) {
     );
 }
 
+// Returns the validation context (see withConstraints) of `test` validated on its own
+function ownContext (test) {
+    return { path: '', root: test };
+}
+
+// Returns the validation context of the child `key` of the value with the context `context`
+function childContext (context, key) {
+    return { path: appendPointer(context.path, key), root: context.root };
+}
+
 // Returns a function that returns true if
 // `test` is an array whose objects match the schema `type`
 export function isArrayOfType (type) {
-    return function (test) {
+    return function (test, context = ownContext(test)) {
         return (
             Array.isArray(test) &&
             every(
                 test,
-                el => matchesSchema(type, el)
+                (el, idx) => matchesSchemaInner(type, el, childContext(context, idx))
             )
         );
     };
 }
 
+// Returns a RegExp for `pattern` (a RegExp, or a string with the source of one),
+// without the global flag so that test() doesn't keep state between calls
+export function toRegExp (pattern) {
+    return pattern instanceof RegExp
+        ? new RegExp(pattern.source, pattern.flags.replace('g', ''))
+        : new RegExp(pattern);
+}
+
+// Returns an error message if `key` can't be a key of an objectOf with the
+// key pattern `keyPattern` (a RegExp, or null for any key), or null if it can.
+export function checkMapKey (keyPattern, key) {
+    return keyPattern !== null && !keyPattern.test(key)
+        ? `The key ${JSON.stringify(key)} must match the pattern ${keyPattern}`
+        : null;
+}
+
+// Returns a function that returns true if `test` is a vanilla object whose
+// keys match `keyPattern` (see checkMapKey), and whose values match the schema `type`
+export function isObjectOfType (type, keyPattern) {
+    return function (test, context = ownContext(test)) {
+        return (
+            isObject(test) &&
+            every(
+                Object.keys(test),
+                key => checkMapKey(keyPattern, key) === null && matchesSchemaInner(type, test[key], childContext(context, key))
+            )
+        );
+    };
+}
+
+// Returns a function that returns true if `test` is strictly equal to
+// one of the elements of `values`
+export function isOneOf (values) {
+    // Make sure it's an array
+    if (!Array.isArray(values)) {
+        throw new Error(
+            `Expected "values" to be an Array, but got ${Object.prototype.toString.call(values)}`
+        );
+    }
+
+    return test => values.indexOf(test) !== -1;
+}
+
+// Returns true if `test` matches `type` as a member of a oneOfType union.
+// Object shapes only match vanilla objects here: on its own, a shape without
+// required keys would match anything (even a number).
+// `context` is the validation context of `test` (see withConstraints).
+export function matchesUnionMember (type, test, context = ownContext(test)) {
+    if (isSchemaType(type)) {
+        return type(test, context);
+    }
+
+    return isObject(test) && matchesSchemaInner(type, test, context);
+}
+
+// Returns a function that returns true if `test` matches at least one
+// of the schemas in `types`
+export function isOneOfType (types) {
+    // Make sure it's an array
+    if (!Array.isArray(types)) {
+        throw new Error(
+            `Expected "types" to be an Array, but got ${Object.prototype.toString.call(types)}`
+        );
+    }
+
+    // Make sure each member is a valid schema
+    types.forEach(
+        (type, idx) => validateSchema(type, `oneOfType[${idx}]`)
+    );
+
+    // Whether the value may be missing is up to the union itself, not its members
+    return (test, context = ownContext(test)) => isSomething(test) && types.some(type => matchesUnionMember(type, test, context));
+}
+
+// Returns a function that returns true if `test` is an array with a value for each
+// of the positions in `types` (missing values are fine where they aren't required),
+// and no more values than there are positions
+export function isTupleOf (types) {
+    // Make sure it's an array
+    if (!Array.isArray(types)) {
+        throw new Error(
+            `Expected "types" to be an Array, but got ${Object.prototype.toString.call(types)}`
+        );
+    }
+
+    // Make sure each position has a valid schema
+    types.forEach(
+        (type, idx) => validateSchema(type, `tuple[${idx}]`)
+    );
+
+    return (test, context = ownContext(test)) => (
+        Array.isArray(test) &&
+        test.length <= types.length &&
+        types.every((type, idx) => matchesSchemaInner(type, test[idx], childContext(context, idx)))
+    );
+}
+
+// Returns true if `schema` is an object schema that can be a variant of a taggedUnion:
+// a plain object schema (which may be empty, for variants that only have the tag), or a shape SchemaType.
+function isVariantSchema (schema) {
+    return isSchemaType(schema)
+        ? getSchemaTypeName(schema) === 'shape'
+        : isObject(schema);
+}
+
+// Returns a function that returns true if `test` is a vanilla object whose `tag`
+// key names one of the `variants`, and whose other keys match that variant
+export function isTaggedUnionOf (tag, variants) {
+    // Make sure the tag is a key
+    if (typeof tag !== 'string') {
+        throw new Error(`Expected "tag" to be a string, but got ${typeof tag}`);
+    }
+
+    // Make sure there's something to pick from
+    if (!isObject(variants) || Object.keys(variants).length === 0) {
+        throw new Error(
+            `Expected "variants" to be an object with at least one variant, but got ${Object.prototype.toString.call(variants)}`
+        );
+    }
+
+    // Make sure each variant is an object schema, and leaves the tag to the union
+    Object.keys(variants).forEach(key => {
+        const variant = variants[key];
+        const location = `taggedUnion.${key}`;
+
+        if (!isVariantSchema(variant)) {
+            throw new Error(`(At ${location}): Expected an object schema, but got ${Object.prototype.toString.call(variant)}`);
+        }
+
+        if (!isSchemaType(variant) && Object.keys(variant).length > 0) {
+            validateSchema(variant, location);
+        }
+
+        if (Object.prototype.hasOwnProperty.call(getShapeFields(variant), tag)) {
+            throw new Error(`(At ${location}): Variants can't have a "${tag}" field, since it's the tag`);
+        }
+    });
+
+    return (test, context = ownContext(test)) => (
+        isObject(test) &&
+        Object.prototype.hasOwnProperty.call(variants, test[tag]) &&
+        matchesSchemaInner(variants[test[tag]], test, context)
+    );
+}
+
 // Returns a function that accepts a validator and returns a function
 // that takes a boolean and returns a function that takes a variable
 // and validates the variables under the following constraints:
@@ -76,60 +275,408 @@ export function isArrayOfType (type) {
 //      console.log(validateStringOrNothing('foo')); // true
 //      console.log(validateStringOrNothing(10)); // false
 //      console.log(validateStringOrNothing(undefined)); // true
-export const maybeRequired = actuallyValidate => isRequired => something => {
+//
+// The validation context (see withConstraints) is passed on to the actual validator.
+export const maybeRequired = actuallyValidate => isRequired => (something, context) => {
     return (
         (!isRequired && typeof something === 'undefined') ||
-        actuallyValidate(something)
+        actuallyValidate(something, context)
     );
 };
 
-// Create a SchemaType (really just a function with `_type` and
-// `_isSchemaType` properties)
-export function SchemaType (validate, type, opts = {}) {
+// Returns a function that takes a validator and, if `isNullable` is true, returns a version
+// of it that also accepts null. The validator itself never sees null in that case.
+export const maybeNullable = isNullable => validate => {
+    return isNullable
+        ? (something, context) => something === null || validate(something, context)
+        : validate;
+};
+
+// Key of the metadata of a SchemaType.
+// The metadata is stored under a Symbol rather than a string key so that every
+// string key is free for use by higher level object schemas, e.g.
+//
+//      const schema = {
+//          foo: SchemaTypes.string(),
+//          _type: SchemaTypes.string(),
+//          _isSchemaType: SchemaTypes.string(),
+//      };
+const SCHEMA_TYPE_METADATA = Symbol('SchemaType metadata');
+
+// Create a SchemaType (really just a function with the options as properties, and
+// metadata stored out of band -- see getSchemaTypeMetadata())
+export function SchemaType (validate, type, opts = {}, metadata = {}) {
     const func = validate;
     func.__proto__ = {
-        // TODO: explicitly check the __proto__ (or use getter!) for these props, so their names
-        // TODO: are free for use by higher level object schemas.
-        // e.g. the following breaks things
-        /*
-         * const schema = {
-         *      foo: SchemaTypes.string(),
-         *      _type: SchemaTypes.string(),
-         *      _isSchemaType: SchemaTypes.string(),
-         * };
-         */
-        _isSchemaType: true,
-        _type: type,
-
-        ...opts
+        ...opts,
+
+        [SCHEMA_TYPE_METADATA]: {
+            ...metadata,
+            type,
+        },
     };
 
     return func;
 };
 
+// Returns true if `test` is a SchemaType
+export function isSchemaType (test) {
+    return typeof test === 'function' && isSomething(test[SCHEMA_TYPE_METADATA]);
+}
+
+// Returns the metadata of the SchemaType `schemaType`, or null if it isn't a SchemaType.
+//
+// The metadata has the following keys:
+//      type: the name of the type, e.g. "string" or "arrayOf"
+//      validateType: the type check, without the constraints
+//      constraints: the constraints (see withConstraints)
+//
+// And, depending on the type:
+//      elementType: the schema of the elements of an arrayOf
+//      elementTypes: the schemas of the positions of a tuple
+//      values: the allowed values of a oneOf
+//      types: the member schemas of a oneOfType
+//      fields: the object schema of a shape
+//      valueType, keyPattern: the schema of the values, and the RegExp for the keys (or null), of an objectOf
+//      resolve: a function that returns the schema of a lazy (see resolveLazy)
+//      tag, variants, tagType: the tag key, the object schemas by tag value, and a oneOf SchemaType
+//          for the tag values, of a taggedUnion
+export function getSchemaTypeMetadata (schemaType) {
+    return isSchemaType(schemaType)
+        ? schemaType[SCHEMA_TYPE_METADATA]
+        : null;
+}
+
+// Returns the name of the type of the SchemaType `schemaType` (e.g. "string"),
+// or null if it isn't a SchemaType.
+export function getSchemaTypeName (schemaType) {
+    return isSchemaType(schemaType)
+        ? schemaType[SCHEMA_TYPE_METADATA].type
+        : null;
+}
+
+// Returns a validator that's true if `validate` is true and none of the
+// `constraints` report a problem.
+//
+// A constraint is a function that takes a value and a context object, and returns an
+// error message, or null if the value is fine. Constraints only check values of the
+// type they're meant for, and return null for anything else (the type check reports those).
+//
+// The context has the keys `path` (a JSON pointer to the value) and `root` (the value
+// that's being validated as a whole). SchemaTypes take it as an optional second argument,
+// and pass it on to the schemas inside them. Called without it, a SchemaType is its own root.
+export const withConstraints = (validate, constraints) => (test, context = ownContext(test)) => {
+    return (
+        validate(test, context) &&
+        constraints.every(check => check(test, context) === null)
+    );
+};
+
+// Returns the constraints for the `validate` option, which is available on every SchemaType.
+//
+// `validate` is a custom validator:
+//      function validate (value, { path, root }) -> String | null
+// that returns an error message, or null if the value is fine. It's only called for
+// values that exist and have the right type.
+export function customConstraints (opts) {
+    if (!isSomething(opts.validate)) {
+        return [];
+    }
+
+    if (typeof opts.validate !== 'function') {
+        throw new Error(`Expected "validate" to be a function, but got ${typeof opts.validate}`);
+    }
+
+    return [
+        (test, context) => isSomething(test)
+            ? opts.validate(test, context) || null
+            : null
+    ];
+}
+
+// Returns the constraints for the options of a number SchemaType.
+//
+// Supported options:
+//      min: the smallest allowed value
+//      max: the largest allowed value
+//      step: the value must be a multiple of step (counting from min, if specified)
+//      integer: if true, the value must be an integer
+export function numberConstraints (opts) {
+    const isNumber = typeValidator('number');
+    const constraints = [];
+
+    if (opts.integer) {
+        constraints.push(
+            test => isNumber(test) && !Number.isInteger(test)
+                ? 'Must be an integer'
+                : null
+        );
+    }
+
+    if (isSomething(opts.min)) {
+        constraints.push(
+            test => isNumber(test) && test < opts.min
+                ? `Must be at least ${opts.min}`
+                : null
+        );
+    }
+
+    if (isSomething(opts.max)) {
+        constraints.push(
+            test => isNumber(test) && test > opts.max
+                ? `Must be at most ${opts.max}`
+                : null
+        );
+    }
+
+    if (isSomething(opts.step)) {
+        constraints.push(test => {
+            if (!isNumber(test)) {
+                return null;
+            }
+
+            // Allow for floating point error in the division
+            const steps = (test - (opts.min || 0)) / opts.step;
+            return Math.abs(steps - Math.round(steps)) > 1e-9
+                ? `Must be a multiple of ${opts.step}`
+                : null;
+        });
+    }
+
+    return constraints;
+}
+
+// Named formats for strings, with the test for each format and a description
+// used in error messages.
+export const STRING_FORMATS = {
+    email: {
+        test: str => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str),
+        description: 'an email address',
+    },
+    url: {
+        test: str => /^[a-z][a-z\d+\-.]*:\/\/[^\s/?#]+[^\s]*$/i.test(str),
+        description: 'a URL',
+    },
+    uuid: {
+        test: str => /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(str),
+        description: 'a UUID',
+    },
+    hostname: {
+        test: str => (
+            str.length <= 253 &&
+            /^[a-z\d]([a-z\d-]{0,61}[a-z\d])?(\.[a-z\d]([a-z\d-]{0,61}[a-z\d])?)*$/i.test(str)
+        ),
+        description: 'a hostname',
+    },
+};
+
+// Returns the constraints for the options of a string SchemaType.
+//
+// Supported options:
+//      minLength: the smallest allowed length
+//      maxLength: the largest allowed length
+//      pattern: a RegExp (or a string with the source of one) that the value must match
+//      format: one of the named formats in STRING_FORMATS
+export function stringConstraints (opts) {
+    const isString = typeValidator('string');
+    const constraints = [];
+
+    if (isSomething(opts.minLength)) {
+        constraints.push(
+            test => isString(test) && test.length < opts.minLength
+                ? `Must be at least ${opts.minLength} characters long`
+                : null
+        );
+    }
+
+    if (isSomething(opts.maxLength)) {
+        constraints.push(
+            test => isString(test) && test.length > opts.maxLength
+                ? `Must be at most ${opts.maxLength} characters long`
+                : null
+        );
+    }
+
+    if (isSomething(opts.pattern)) {
+        const pattern = toRegExp(opts.pattern);
+        constraints.push(
+            test => isString(test) && !pattern.test(test)
+                ? `Must match the pattern ${pattern}`
+                : null
+        );
+    }
+
+    if (isSomething(opts.format)) {
+        const format = STRING_FORMATS[opts.format];
+        if (!format) {
+            throw new Error(
+                `Expected "format" to be one of ${Object.keys(STRING_FORMATS).join(', ')}, but got ${opts.format}`
+            );
+        }
+
+        constraints.push(
+            test => isString(test) && !format.test(test)
+                ? `Must be ${format.description}`
+                : null
+        );
+    }
+
+    return constraints;
+}
+
+// Returns a function that returns the value an array element is compared by for the
+// `uniqueBy` option: the element itself (for true), the element's property with the key
+// `uniqueBy` (for a string), or the result of calling `uniqueBy` with the element (for a function).
+function getUniqueKey (uniqueBy) {
+    if (uniqueBy === true) {
+        return element => element;
+    }
+
+    if (typeof uniqueBy === 'string') {
+        return element => isObject(element) ? element[uniqueBy] : undefined;
+    }
+
+    if (typeof uniqueBy === 'function') {
+        return uniqueBy;
+    }
+
+    throw new Error(`Expected "uniqueBy" to be true, a key or a function, but got ${describeValue(uniqueBy)}`);
+}
+
+// Returns the groups of indices of the elements of `array` that are duplicates of each other
+// according to `uniqueBy` (see arrayConstraints).
+// Objects are compared by their JSON, and elements without a value to compare by are never duplicates.
+function getDuplicateGroups (uniqueBy, array) {
+    const getKey = getUniqueKey(uniqueBy);
+    const indicesById = new Map();
+
+    array.forEach((element, idx) => {
+        const key = getKey(element);
+        if (!isSomething(key)) {
+            return;
+        }
+
+        // Primitives are prefixed with their type, so that e.g. 1 and "1" are different
+        const id = typeof key === 'object'
+            ? JSON.stringify(key)
+            : `${typeof key}:${String(key)}`;
+
+        indicesById.set(id, [ ...(indicesById.get(id) || []), idx ]);
+    });
+
+    return Array.from(indicesById.values()).filter(indices => indices.length > 1);
+}
+
+// Returns the (sorted) indices of the elements of `array` that have a duplicate according
+// to `uniqueBy` (see arrayConstraints).
+export function getDuplicateIndices (uniqueBy, array) {
+    return getDuplicateGroups(uniqueBy, array)
+        .reduce((indices, group) => indices.concat(group), [])
+        .sort((a, b) => a - b);
+}
+
+// Returns the constraints for the options of an array SchemaType.
+//
+// Supported options:
+//      minItems: the smallest allowed number of elements
+//      maxItems: the largest allowed number of elements
+//      uniqueBy: the elements must be unique. true compares whole elements, a string compares
+//          the property with that key, and a function compares its result for each element
+export function arrayConstraints (opts) {
+    const constraints = [];
+    const pluralize = count => count === 1 ? 'element' : 'elements';
+
+    if (isSomething(opts.minItems)) {
+        constraints.push(
+            test => isArray(test) && test.length < opts.minItems
+                ? `Must have at least ${opts.minItems} ${pluralize(opts.minItems)}`
+                : null
+        );
+    }
+
+    if (isSomething(opts.maxItems)) {
+        constraints.push(
+            test => isArray(test) && test.length > opts.maxItems
+                ? `Must have at most ${opts.maxItems} ${pluralize(opts.maxItems)}`
+                : null
+        );
+    }
+
+    if (isSomething(opts.uniqueBy)) {
+        // Throw for a bad uniqueBy right away
+        getUniqueKey(opts.uniqueBy);
+
+        constraints.push(test => {
+            if (!isArray(test)) {
+                return null;
+            }
+
+            const groups = getDuplicateGroups(opts.uniqueBy, test);
+            if (groups.length === 0) {
+                return null;
+            }
+
+            const group = groups[0];
+            const elements = `${group.slice(0, -1).join(', ')} and ${group[group.length - 1]}`;
+            return `Must not contain duplicates, but elements ${elements} are the same`;
+        });
+    }
+
+    return constraints;
+}
+
+// For SchemaTypes without constraints of their own
+const noConstraints = () => [];
+
 // A function that returns a SchemaType factory based on a higher-order
 // validator and a type name.
+// If the `nullable` option is set, the SchemaType also accepts null.
+// The optional `getConstraints` returns the constraints (see withConstraints)
+// for the options passed to the factory. Custom validators (see customConstraints)
+// are added to them.
+// The optional `metadata` is added to the metadata of the SchemaType (see getSchemaTypeMetadata).
 //
 // The factories themselves take an optional options object and return
 // a function (the SchemaType).
-const createSchemaType = (maybeValidate, type) => {
-    return (opts = {}) => SchemaType(
-        maybeValidate(!!opts.required),
-        type,
-        opts
-    );
+const createSchemaType = (maybeValidate, type, getConstraints = noConstraints, metadata = {}) => {
+    return (opts = {}) => {
+        const orNull = maybeNullable(!!opts.nullable);
+        const validateType = orNull(maybeValidate(!!opts.required));
+        const constraints = [
+            ...getConstraints(opts),
+            ...customConstraints(opts),
+        ];
+
+        return SchemaType(
+            // Null doesn't have to pass the constraints
+            orNull(withConstraints(validateType, constraints)),
+            type,
+            opts,
+            {
+                ...metadata,
+
+                // Make the type check and the constraints available for error messages
+                validateType,
+                constraints,
+            }
+        );
+    };
 };
 
 export const SchemaTypes = {
     any: createSchemaType(maybeRequired(isSomething), 'any'),
 
-    string: createSchemaType(maybeRequired(typeValidator('string')), 'string'),
+    string: createSchemaType(maybeRequired(typeValidator('string')), 'string', stringConstraints),
     boolean: createSchemaType(maybeRequired(typeValidator('boolean')), 'boolean'),
     function: createSchemaType(maybeRequired(typeValidator('function')), 'function'),
-    number: createSchemaType(maybeRequired(typeValidator('number')), 'number'),
-    date: createSchemaType(maybeRequired(isValidDate), 'date'),
+    number: createSchemaType(maybeRequired(typeValidator('number')), 'number', numberConstraints),
+    // Dates are validated according to the `storage` option (see dateValidator)
+    date: (opts = {}) => createSchemaType(maybeRequired(dateValidator(opts.storage)), 'date')(opts),
+
+    // Only null (or nothing, if it isn't required). See also the `nullable` option.
+    null: createSchemaType(maybeRequired(test => test === null), 'null'),
 
-    array: createSchemaType(maybeRequired(isArray), 'array'),
+    array: createSchemaType(maybeRequired(isArray), 'array', arrayConstraints),
     object: createSchemaType(maybeRequired(isObject), 'object'),
 
     /*
@@ -141,20 +688,259 @@ export const SchemaTypes = {
      *
      *          bar: SchemaTypes
      *              .arrayOf(SchemaTypes.string())({ required: true }),
+     *
+     *          // 1 to 5 links with different urls
+     *          links: SchemaTypes.arrayOf({
+     *              url: SchemaTypes.string({ format: 'url' }),
+     *          })({ minItems: 1, maxItems: 5, uniqueBy: 'url' }),
      *      };
      */
     arrayOf: type =>
-        opts => createSchemaType(maybeRequired(isArrayOfType(type)), 'arrayOf')({
-            // User-specified options
-            ...opts,
+        // Make the element type available
+        createSchemaType(maybeRequired(isArrayOfType(type)), 'arrayOf', arrayConstraints, { elementType: type }),
+
+    /*
+     * A fixed-length array with a schema for each position.
+     *
+     * Usage:
+     *      const schema = {
+     *          // e.g. [51.5, -0.12]
+     *          position: SchemaTypes.tuple([
+     *              SchemaTypes.number({ required: true, min: -90, max: 90 }),
+     *              SchemaTypes.number({ required: true, min: -180, max: 180 }),
+     *          ])(),
+     *      };
+     */
+    tuple: types => {
+        // Built eagerly so that bad position schemas throw right away
+        const validator = maybeRequired(isTupleOf(types));
+
+        // Make the position types available
+        return createSchemaType(validator, 'tuple', noConstraints, { elementTypes: types });
+    },
+
+    /*
+     * A schema that's only created when it's first needed, so that schemas can refer
+     * to themselves. `getSchema` is called once, and must return a valid schema.
+     *
+     * Usage:
+     *      const menu = {
+     *          label: SchemaTypes.string({ required: true }),
+     *          children: SchemaTypes.arrayOf(SchemaTypes.lazy(() => menu)())(),
+     *      };
+     */
+    lazy: getSchema => {
+        if (typeof getSchema !== 'function') {
+            throw new Error(`Expected "getSchema" to be a function, but got ${typeof getSchema}`);
+        }
+
+        let schema = null;
+        const resolve = () => {
+            if (schema === null) {
+                const created = getSchema();
+
+                // Make sure it's a valid schema
+                validateSchema(created, 'lazy');
+                schema = created;
+            }
+
+            return schema;
+        };
+
+        // Whether the value may be missing is up to the lazy SchemaType itself
+        const validator = maybeRequired((test, context) => isSomething(test) && matchesSchemaInner(resolve(), test, context));
+
+        // Make the schema available
+        return createSchemaType(validator, 'lazy', noConstraints, { resolve });
+    },
+
+    /*
+     * A map from keys that aren't known in advance to values of the same schema.
+     * If `keyPattern` (a RegExp, or a string with the source of one) is specified,
+     * every key must match it.
+     *
+     * Usage:
+     *      const schema = {
+     *          // e.g. { en: 'Hello', fr: 'Bonjour' }
+     *          greeting: SchemaTypes
+     *              .objectOf(SchemaTypes.string(), { keyPattern: /^[a-z]{2}$/ })({ required: true }),
+     *
+     *          features: SchemaTypes.objectOf({
+     *              enabled: SchemaTypes.boolean(),
+     *          })(),
+     *      };
+     */
+    objectOf: (type, { keyPattern } = {}) => {
+        // Make sure the values have a valid schema
+        validateSchema(type, 'objectOf');
+
+        const pattern = isSomething(keyPattern) ? toRegExp(keyPattern) : null;
+        const validator = maybeRequired(isObjectOfType(type, pattern));
+
+        // Make the value type and the key pattern available
+        return createSchemaType(validator, 'objectOf', noConstraints, { valueType: type, keyPattern: pattern });
+    },
+
+    /*
+     * Usage:
+     *      const schema = {
+     *          status: SchemaTypes
+     *              .oneOf(['draft', 'live', 'archived'])({ required: true }),
+     *      };
+     */
+    oneOf: values => {
+        // Built eagerly so that a bad list of values throws right away
+        const validator = maybeRequired(isOneOf(values));
+
+        // Make the allowed values available
+        return createSchemaType(validator, 'oneOf', noConstraints, { values });
+    },
+
+    /*
+     * Usage:
+     *      const schema = {
+     *          id: SchemaTypes.oneOfType([
+     *              SchemaTypes.string(),
+     *              SchemaTypes.number(),
+     *          ])({ required: true }),
+     *
+     *          author: SchemaTypes.oneOfType([
+     *              SchemaTypes.string(),
+     *              { name: SchemaTypes.string(), email: SchemaTypes.string() },
+     *          ])(),
+     *      };
+     */
+    oneOfType: types => {
+        // Built eagerly so that bad member schemas throw right away
+        const validator = maybeRequired(isOneOfType(types));
+
+        // Make the member types available
+        return createSchemaType(validator, 'oneOfType', noConstraints, { types });
+    },
+
+    /*
+     * An object that's one of several variants, told apart by the value of its `tag` key.
+     * `variants` maps each value of the tag to the object schema of that variant (without the tag).
+     *
+     * Usage:
+     *      const schema = {
+     *          blocks: SchemaTypes.arrayOf(SchemaTypes.taggedUnion('kind', {
+     *              text: { body: SchemaTypes.string({ required: true }) },
+     *              image: { url: SchemaTypes.string({ required: true }), alt: SchemaTypes.string() },
+     *          })())(),
+     *      };
+     *
+     *      // e.g. [ { kind: 'text', body: 'Hello' }, { kind: 'image', url: 'cat.png' } ]
+     */
+    taggedUnion: (tag, variants) => {
+        // Built eagerly so that bad variants throw right away
+        const validator = maybeRequired(isTaggedUnionOf(tag, variants));
+
+        // Make the tag and the variants available
+        return createSchemaType(validator, 'taggedUnion', noConstraints, {
+            tag,
+            variants,
+            tagType: SchemaTypes.oneOf(Object.keys(variants))({ required: true }),
+        });
+    },
+
+    /*
+     * An object schema as a SchemaType, so that it can have options. Unlike a plain
+     * object schema, the value must be a vanilla object (if it exists).
+     *
+     * Usage:
+     *      const schema = {
+     *          range: SchemaTypes.shape({
+     *              start: SchemaTypes.date({ required: true }),
+     *              end: SchemaTypes.date({ required: true }),
+     *          })({
+     *              validate: range => range.end > range.start ? null : 'The end must be after the start',
+     *          }),
+     *      };
+     */
+    shape: fields => {
+        if (!isObject(fields)) {
+            throw new Error(
+                `Expected "fields" to be an object schema, but got ${Object.prototype.toString.call(fields)}`
+            );
+        }
+
+        // Make sure the fields are a valid schema
+        validateSchema(fields, 'shape');
+
+        const validator = maybeRequired((test, context) => isObject(test) && matchesSchemaInner(fields, test, context));
 
-            // Make the element type available
-            _elementType: type,
-        }),
+        // Make the fields available
+        return createSchemaType(validator, 'shape', noConstraints, { fields });
+    },
 
-    // todo: oneOf, shape, null
 };
 
+// The definitions of the SchemaTypes added with registerSchemaType(), by name
+const registeredSchemaTypes = {};
+
+// Adds a new SchemaType, `SchemaTypes[name]`, that the editors, SchemaView, validate() and
+// toJSONSchema() support like the built-in ones. Returns the SchemaType factory.
+//
+// The definition has the following keys:
+//      name: the name of the type. It can't be the name of an existing SchemaType
+//      validate: function validate (value, options) -> Boolean, the type check for values that exist.
+//          `options` are the options passed to the SchemaType.
+//      Cell (optional): the component for editing values in the editors. It's passed the props
+//          { value, onChange, schema, path, errors }, like the editors' `renderers`.
+//          Without it, string values are edited as text, and other values are only shown.
+//      describe (optional): function describe (schemaType) -> String, the description of the type
+//          for validation errors, column titles and SchemaView. Defaults to the name.
+//      toJSONSchema (optional): function toJSONSchema (schemaType) -> Object, the JSON schema
+//          of the type. Without it, toJSONSchema() exports {} (any value) with a warning.
+//
+// Usage:
+//      registerSchemaType({
+//          name: 'semver',
+//          validate: value => typeof value === 'string' && /^\d+\.\d+\.\d+$/.test(value),
+//          toJSONSchema: () => ({ type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' }),
+//      });
+//
+//      const schema = { version: SchemaTypes.semver({ required: true }) };
+export function registerSchemaType (definition) {
+    if (!isObject(definition)) {
+        throw new Error(`Expected the definition to be an object, but got ${describeValue(definition)}`);
+    }
+
+    const { name, validate } = definition;
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error(`Expected "name" to be a non-empty string, but got ${describeValue(name)}`);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(SchemaTypes, name)) {
+        throw new Error(`The SchemaType "${name}" already exists`);
+    }
+
+    if (typeof validate !== 'function') {
+        throw new Error(`Expected "validate" to be a function, but got ${describeValue(validate)}`);
+    }
+
+    const badKey = [ 'describe', 'toJSONSchema' ]
+        .find(key => isSomething(definition[key]) && typeof definition[key] !== 'function');
+    if (badKey) {
+        throw new Error(`Expected "${badKey}" to be a function, but got ${describeValue(definition[badKey])}`);
+    }
+
+    registeredSchemaTypes[name] = definition;
+
+    // Like dates, the type check depends on the options
+    SchemaTypes[name] = (opts = {}) => createSchemaType(maybeRequired(test => !!validate(test, opts)), name)(opts);
+    return SchemaTypes[name];
+}
+
+// Returns the definition passed to registerSchemaType() for the type `name`, or null if
+// it isn't a registered type.
+export function getRegisteredSchemaType (name) {
+    return Object.prototype.hasOwnProperty.call(registeredSchemaTypes, name)
+        ? registeredSchemaTypes[name]
+        : null;
+}
+
 // Returns a message for an error caused by an invalid Schema type.
 export function invalidSchemaMessage (badLeaf, location) {
     return `(At ${location}): Expected a SchemaType, but got ${badLeaf}:${typeof badLeaf}`;
@@ -165,12 +951,472 @@ export function isObject (test) {
     return Object.prototype.toString.call(test) === '[object Object]';
 }
 
+// Returns the schema that the lazy SchemaType `schema` stands for, or `schema` itself
+// if it isn't lazy.
+export function resolveLazy (schema) {
+    return getSchemaTypeName(schema) === 'lazy'
+        ? resolveLazy(getSchemaTypeMetadata(schema).resolve())
+        : schema;
+}
+
+// Returns the fields of an object schema: either a plain object schema, or
+// a shape SchemaType (or a lazy SchemaType for either). Returns null for any other schema.
+// Schema must be a valid schema.
+export function getShapeFields (schema) {
+    const resolved = resolveLazy(schema);
+    if (!isSchemaType(resolved)) {
+        return resolved;
+    }
+
+    return getSchemaTypeName(resolved) === 'shape'
+        ? getSchemaTypeMetadata(resolved).fields
+        : null;
+}
+
+// Returns the groups of the fields of the object schema `fields` that are shown in an editor,
+// as a list of { group, keys }, based on the display options of the fields' SchemaTypes:
+//      hidden: if true, the field isn't shown (but is kept in the value)
+//      order: fields with an order come first, from the lowest order to the highest. The
+//          others keep their order in `fields`
+//      group: fields with the same group are listed together, where the first of them would be.
+//          `group` is undefined for (single) fields without a group.
+//
+// Usage:
+//
+//      getFieldGroups({
+//          name: SchemaTypes.string({ order: 1 }),
+//          ttl_ms: SchemaTypes.number({ group: 'Caching' }),
+//          id: SchemaTypes.string({ hidden: true }),
+//          enabled: SchemaTypes.boolean({ group: 'Caching' }),
+//      });
+//      // [ { group: undefined, keys: ['name'] }, { group: 'Caching', keys: ['ttl_ms', 'enabled'] } ]
+export function getFieldGroups (fields) {
+    const option = (key, name) => isSchemaType(fields[key]) ? fields[key][name] : undefined;
+    const orderOf = key => typeof option(key, 'order') === 'number' ? option(key, 'order') : Infinity;
+
+    const keys = Object.keys(fields)
+        .filter(key => !option(key, 'hidden'))
+        .map((key, idx) => ({ key, idx }))
+        .sort((a, b) => (orderOf(a.key) - orderOf(b.key)) || (a.idx - b.idx))
+        .map(({ key }) => key);
+
+    return keys.reduce(
+        (groups, key) => {
+            const group = option(key, 'group');
+            const existing = isSomething(group)
+                ? groups.find(candidate => candidate.group === group)
+                : undefined;
+
+            if (existing) {
+                existing.keys.push(key);
+                return groups;
+            }
+
+            return [ ...groups, { group, keys: [ key ] } ];
+        },
+        []
+    );
+}
+
+// Returns the keys of the fields of the object schema `fields` that are shown in an editor,
+// in the order they're shown in (see getFieldGroups).
+export function getVisibleFieldKeys (fields) {
+    return getFieldGroups(fields).reduce((keys, group) => keys.concat(group.keys), []);
+}
+
+// Returns the schema of the column `key` in a table of elements of `schema`: the field with that key
+// of an object schema (or tagged union), or `schema` itself for the key ''.
+// Returns undefined if there's no such column.
+function getColumnSchema (schema, key) {
+    if (key === '') {
+        return schema;
+    }
+
+    const fields = getShapeFields(schema) || getTaggedUnionFields(schema) || {};
+    return Object.prototype.hasOwnProperty.call(fields, key) ? fields[key] : undefined;
+}
+
+// Returns the value of the column `key` (see getColumnSchema) for `element`
+function getColumnValue (key, element) {
+    if (key === '') {
+        return element;
+    }
+
+    return isObject(element) ? element[key] : undefined;
+}
+
+// The SchemaTypes whose values can be sorted (see sortIndices)
+const SORTABLE_TYPES = [ 'string', 'number', 'boolean', 'date', 'oneOf' ];
+
+// Returns true if the values of `schema` can be sorted: strings, numbers, booleans,
+// dates and enums (or lazy SchemaTypes for them).
+export function isSortable (schema) {
+    return SORTABLE_TYPES.indexOf(getSchemaTypeName(resolveLazy(schema))) !== -1;
+}
+
+// Returns a number that orders the values `a` and `b` of the sortable schema `schema`
+// (negative if `a` comes first). Dates are compared by time, enum values by their position in
+// the SchemaType's values, and strings in the order of the locale. Values of the wrong type
+// are grouped by their type.
+function compareValues (schema, a, b) {
+    const resolved = resolveLazy(schema);
+    const sortValue = value => {
+        switch (getSchemaTypeName(resolved)) {
+            case 'date':
+                return new Date(value).getTime();
+
+            case 'oneOf':
+                return getSchemaTypeMetadata(resolved).values.indexOf(value);
+
+            default:
+                return value;
+        }
+    };
+
+    const [ x, y ] = [ sortValue(a), sortValue(b) ];
+    if (typeof x !== typeof y) {
+        return typeof x < typeof y ? -1 : 1;
+    }
+
+    if (typeof x === 'string') {
+        return x.localeCompare(y);
+    }
+
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Returns an error message if `entry`, a { key, direction } of a sort order (see sortIndices),
+// can't sort the elements of `schema`, or null if it can.
+export function checkSortEntry (schema, entry) {
+    const { key, direction } = isObject(entry) ? entry : {};
+    const fieldSchema = typeof key === 'string' ? getColumnSchema(schema, key) : undefined;
+    if (!isSomething(fieldSchema) || !isSortable(fieldSchema)) {
+        return `Expected the key of a sortable field, but got ${JSON.stringify(key)}`;
+    }
+
+    if (direction !== 'asc' && direction !== 'desc') {
+        return `Expected the direction of ${JSON.stringify(key)} to be "asc" or "desc", but got ${JSON.stringify(direction)}`;
+    }
+
+    return null;
+}
+
+// Returns the indices of the elements of `array` in the order given by `sort`, a list of
+// { key, direction } where
+//      key: the key of a field of the object schema (or tagged union) `schema`, or '' to sort
+//          by the elements themselves (for primitive schemas). The field must be sortable (see isSortable).
+//      direction: 'asc' or 'desc'
+// Elements are sorted by the first key, then by the next one for elements with the same value,
+// and so on. Missing and null values come last in either direction, and equal elements keep their order.
+//
+// Usage:
+//
+//      sortIndices(
+//          { name: SchemaTypes.string(), age: SchemaTypes.number() },
+//          [ { key: 'age', direction: 'desc' }, { key: 'name', direction: 'asc' } ],
+//          [ { name: 'b', age: 1 }, { name: 'c', age: 2 }, { name: 'a', age: 1 } ]
+//      );
+//      // [ 1, 2, 0 ]
+export function sortIndices (schema, sort, array) {
+    const isEmpty = value => value === null || !isSomething(value);
+
+    const comparators = sort.map(entry => {
+        const message = checkSortEntry(schema, entry);
+        if (message !== null) {
+            throw new Error(message);
+        }
+
+        const { key, direction } = entry;
+        const fieldSchema = getColumnSchema(schema, key);
+        return (a, b) => {
+            const [ x, y ] = [ getColumnValue(key, a), getColumnValue(key, b) ];
+            if (isEmpty(x) || isEmpty(y)) {
+                return Number(isEmpty(x)) - Number(isEmpty(y));
+            }
+
+            return direction === 'desc'
+                ? compareValues(fieldSchema, y, x)
+                : compareValues(fieldSchema, x, y);
+        };
+    });
+
+    return array
+        .map((element, idx) => idx)
+        .sort((i, j) => {
+            const order = comparators.reduce(
+                (result, compare) => result || compare(array[i], array[j]),
+                0
+            );
+
+            return order || i - j;
+        });
+}
+
+// Returns true if any of the primitive values in `value` contains the text `search`, ignoring case.
+// Strings, numbers, booleans and dates (in their ISO 8601 form) are matched, as well as any of those
+// inside objects and arrays, however deeply nested. Everything matches a blank search.
+export function matchesSearch (search, value) {
+    const text = search.trim().toLowerCase();
+    const matches = test => {
+        if (isValidDate(test)) {
+            return test.toISOString().toLowerCase().indexOf(text) !== -1;
+        }
+
+        if (Array.isArray(test)) {
+            return test.some(matches);
+        }
+
+        if (test !== null && typeof test === 'object') {
+            return Object.keys(test).some(key => matches(test[key]));
+        }
+
+        return [ 'string', 'number', 'boolean' ].indexOf(typeof test) !== -1 &&
+            String(test).toLowerCase().indexOf(text) !== -1;
+    };
+
+    return text === '' || matches(value);
+}
+
+// The kinds of column filters, by the SchemaTypes they filter (see matchesFilter)
+const FILTER_KINDS = {
+    string: 'text',
+    number: 'range',
+    boolean: 'boolean',
+    oneOf: 'enum',
+};
+
+// Returns the kind of column filter for the values of `schema` (see matchesFilter), or null
+// if they can't be filtered.
+export function getFilterKind (schema) {
+    const name = getSchemaTypeName(resolveLazy(schema));
+    return Object.prototype.hasOwnProperty.call(FILTER_KINDS, name)
+        ? FILTER_KINDS[name]
+        : null;
+}
+
+// Returns true if the column filter `filter` lets every value through: it's undefined, a blank
+// text, or a range without a min or a max.
+export function isEmptyFilter (filter) {
+    return !isSomething(filter) ||
+        (typeof filter === 'string' && filter.trim() === '') ||
+        (isObject(filter) && typeof filter.min !== 'number' && typeof filter.max !== 'number');
+}
+
+// Returns true if `value` matches the column filter `filter` for the values of `schema`.
+// The filter depends on the kind of filter for the schema (see getFilterKind):
+//      text: a string that the value contains, ignoring case
+//      range: { min, max }, either of which can be left out. Both are inclusive.
+//      boolean: true or false
+//      enum: one of the values of the oneOf SchemaType
+// Empty filters (see isEmptyFilter) match every value.
+export function matchesFilter (schema, filter, value) {
+    const kind = getFilterKind(schema);
+    if (kind === null) {
+        throw new Error(`Expected a string, number, boolean or oneOf schema to filter, but got ${describeValue(schema)}`);
+    }
+
+    if (isEmptyFilter(filter)) {
+        return true;
+    }
+
+    switch (kind) {
+        case 'text':
+            return typeof value === 'string' && value.toLowerCase().indexOf(filter.trim().toLowerCase()) !== -1;
+
+        case 'range':
+            return typeof value === 'number' &&
+                (typeof filter.min !== 'number' || value >= filter.min) &&
+                (typeof filter.max !== 'number' || value <= filter.max);
+
+        default:
+            return value === filter;
+    }
+}
+
+// Returns the indices of the elements of `array` that match both
+//      search: a text that one of the visible fields of the element (or the element itself, for
+//          primitive schemas) contains (see matchesSearch)
+//      filters: an object of column filters (see matchesFilter), by the keys of the fields of the
+//          object schema (or tagged union) `schema`, or '' for primitive schemas
+//
+// Usage:
+//
+//      filterIndices(
+//          { name: SchemaTypes.string(), age: SchemaTypes.number() },
+//          'an',
+//          { age: { min: 18 } },
+//          [ { name: 'Ann', age: 12 }, { name: 'Bob', age: 30 }, { name: 'Dan', age: 40 } ]
+//      );
+//      // [ 2 ]
+export function filterIndices (schema, search, filters, array) {
+    const fields = getShapeFields(schema) || getTaggedUnionFields(schema);
+    const searchedValues = element => fields === null
+        ? element
+        : getVisibleFieldKeys(fields).map(key => getColumnValue(key, element));
+
+    const columnFilters = Object.keys(filters)
+        .filter(key => !isEmptyFilter(filters[key]))
+        .map(key => {
+            const fieldSchema = getColumnSchema(schema, key);
+            if (!isSomething(fieldSchema) || getFilterKind(fieldSchema) === null) {
+                throw new Error(`Expected the key of a field that can be filtered, but got ${JSON.stringify(key)}`);
+            }
+
+            return element => matchesFilter(fieldSchema, filters[key], getColumnValue(key, element));
+        });
+
+    return array
+        .map((element, idx) => idx)
+        .filter(idx =>
+            matchesSearch(search, searchedValues(array[idx])) &&
+            columnFilters.every(matches => matches(array[idx]))
+        );
+}
+
+// Returns the variant of the taggedUnion SchemaType `schemaType` that's named by the tag
+// of `test`, or null if `test` doesn't name one.
+export function getTaggedVariant (schemaType, test) {
+    const { tag, variants } = getSchemaTypeMetadata(schemaType);
+
+    return isObject(test) && Object.prototype.hasOwnProperty.call(variants, test[tag])
+        ? variants[test[tag]]
+        : null;
+}
+
+// Returns the fields of all of the variants of a taggedUnion SchemaType as a single object
+// schema, starting with the tag (e.g. for the columns of a table). Fields that are in more than
+// one variant are listed once, with the schema of the first of them.
+// Returns null for any other schema.
+export function getTaggedUnionFields (schema) {
+    if (getSchemaTypeName(schema) !== 'taggedUnion') {
+        return null;
+    }
+
+    const { tag, variants, tagType } = getSchemaTypeMetadata(schema);
+    const fields = { [tag]: tagType };
+    Object.keys(variants).forEach(key => {
+        const variantFields = getShapeFields(variants[key]);
+        Object.keys(variantFields)
+            .filter(field => !Object.prototype.hasOwnProperty.call(fields, field))
+            .forEach(field => {
+                fields[field] = variantFields[field];
+            });
+    });
+
+    return fields;
+}
+
+// Returns a new value for `schema`, pre-filled with defaults:
+//      - SchemaTypes with a `default` option use it (a factory function is called for a fresh value)
+//      - object schemas (plain objects, and shapes) have a key for each field that has a default
+//        (see fieldDefault)
+//      - tuples have the defaults of their positions (if any)
+//      - arrays and maps are empty, booleans are false, and other required nullable SchemaTypes are null
+//      - anything else is undefined, so that it has to be entered
+//
+// Usage:
+//
+//      const schema = {
+//          name: SchemaTypes.string({ required: true }),
+//          tags: SchemaTypes.arrayOf(SchemaTypes.string())({ required: true }),
+//          status: SchemaTypes.oneOf(['draft', 'live'])({ default: 'draft' }),
+//          createdAt: SchemaTypes.date({ default: () => new Date() }),
+//      };
+//
+//      createDefault(schema); // { tags: [], status: 'draft', createdAt: <now> }
+//
+// Schema must be a valid schema.
+export function createDefault (schema) {
+    return createDefaultInner(schema, []);
+}
+
+// Recursively create the default value for `schema`.
+// `seen` is the lazy SchemaTypes being resolved, so that recursive schemas stop.
+function createDefaultInner (schema, seen) {
+    if (isSchemaType(schema) && isSomething(schema.default)) {
+        return typeof schema.default === 'function'
+            ? schema.default()
+            : schema.default;
+    }
+
+    const metadata = getSchemaTypeMetadata(schema);
+    if (metadata === null) {
+        return fieldDefaults(schema, seen);
+    }
+
+    switch (metadata.type) {
+        case 'lazy':
+            return seen.indexOf(schema) === -1
+                ? createDefaultInner(metadata.resolve(), [ ...seen, schema ])
+                : undefined;
+
+        case 'shape':
+            return fieldDefaults(metadata.fields, seen);
+
+        // Like the fields of an object, only the positions that have a default are filled in
+        case 'tuple': {
+            const values = metadata.elementTypes.map(type => fieldDefault(type, seen));
+            return values.some(isSomething)
+                ? values
+                : undefined;
+        }
+
+        case 'array':
+        case 'arrayOf':
+            return [];
+
+        case 'object':
+        case 'objectOf':
+            return {};
+
+        case 'boolean':
+            return false;
+
+        case 'null':
+            return null;
+
+        // Without a sensible empty value, required nullable SchemaTypes start out null
+        default:
+            return schema.nullable && schema.required ? null : undefined;
+    }
+}
+
+// Returns an object with the default value of each of the `fields` of an object schema
+// that has one. Optional fields only have a default if it's set with the `default` option.
+function fieldDefaults (fields, seen) {
+    return Object.keys(fields).reduce(
+        (object, key) => {
+            const value = fieldDefault(fields[key], seen);
+            return isSomething(value)
+                ? { ...object, [key]: value }
+                : object;
+        },
+        {}
+    );
+}
+
+// Returns the default value of a field, or undefined if it doesn't have one.
+// Nested object schemas only have one if any of their fields do, and SchemaTypes only
+// if they have a `default` option or are required.
+function fieldDefault (schema, seen) {
+    if (!isSchemaType(schema)) {
+        const object = fieldDefaults(schema, seen);
+        return Object.keys(object).length > 0
+            ? object
+            : undefined;
+    }
+
+    return isSomething(schema.default) || schema.required
+        ? createDefaultInner(schema, seen)
+        : undefined;
+}
+
 // Validates an ObjectEditor schema object
 // A valid schema object is an object with SchemaTypes as
 // its leaves.
 export function validateSchema (schema, location = '') {
     // Base case: leaf is a SchemaType
-    if (schema._isSchemaType) {
+    if (isSchemaType(schema)) {
         return null;
     }
 
@@ -203,15 +1449,16 @@ export function matchesSchema (schema, test) {
     }
 
     // Pass control to rec function
-    return matchesSchemaInner(schema, test);
+    return matchesSchemaInner(schema, test, ownContext(test));
 }
 
-// Recursively make sure that `test` is a valid instance of `schema`
-function matchesSchemaInner (schema, test) {
+// Recursively make sure that `test` is a valid instance of `schema`.
+// `context` is the validation context of `test` (see withConstraints), for custom validators.
+function matchesSchemaInner (schema, test, context) {
     // Base case: SchemaType leaf
     // Just evaluate directly
-    if (schema._isSchemaType) {
-        return schema(test);
+    if (isSchemaType(schema)) {
+        return schema(test, context);
     }
 
     // We already know schema is a valid schema, so we can go ahead
@@ -221,10 +1468,301 @@ function matchesSchemaInner (schema, test) {
     // True if each key of test matches each key of schema
     return Object.keys(schema)
         .map(
-            key => matchesSchemaInner(schema[key], test && test[key])
+            key => matchesSchemaInner(schema[key], test && test[key], childContext(context, key))
         )
         .reduce(
             (memo, match) => memo && match,
             true
         );
-}
\ No newline at end of file
+}
+
+// Returns a short description of the type of `test`, for use in validation errors
+export function describeValue (test) {
+    if (test === null) {
+        return 'null';
+    }
+
+    if (Array.isArray(test)) {
+        return 'array';
+    }
+
+    if (Object.prototype.toString.call(test) === '[object Date]') {
+        return isValidDate(test) ? 'date' : 'invalid date';
+    }
+
+    return typeof test;
+}
+
+// Returns a short description of the values accepted by `schema`, for use in
+// validation errors.
+// Schema must be a valid schema.
+// `seen` is the lazy SchemaTypes being described, so that recursive schemas are only described once.
+export function describeSchema (schema, seen = []) {
+    const description = describeType(schema, seen);
+
+    return isSchemaType(schema) && schema.nullable
+        ? `${description} | null`
+        : description;
+}
+
+// Returns a short description of the values accepted by `schema`, without its options.
+function describeType (schema, seen) {
+    const metadata = getSchemaTypeMetadata(schema);
+    if (metadata === null) {
+        return 'shape';
+    }
+
+    switch (metadata.type) {
+        case 'lazy':
+            return seen.indexOf(schema) === -1
+                ? describeSchema(metadata.resolve(), [ ...seen, schema ])
+                : '...';
+
+        case 'arrayOf':
+            return `arrayOf(${describeSchema(metadata.elementType, seen)})`;
+
+        case 'objectOf':
+            return `objectOf(${describeSchema(metadata.valueType, seen)})`;
+
+        case 'tuple':
+            return `tuple(${metadata.elementTypes.map(type => describeSchema(type, seen)).join(', ')})`;
+
+        case 'oneOf':
+            return `oneOf(${metadata.values.map(value => JSON.stringify(value)).join(', ')})`;
+
+        case 'oneOfType':
+            return metadata.types.map(type => describeSchema(type, seen)).join(' | ');
+
+        case 'taggedUnion':
+            return `taggedUnion(${metadata.tag}: ${Object.keys(metadata.variants).map(key => JSON.stringify(key)).join(' | ')})`;
+
+        case 'date':
+            return {
+                iso: 'date (ISO string)',
+                epoch: 'date (epoch milliseconds)',
+            }[schema.storage] || 'date';
+
+        default: {
+            // Registered SchemaTypes can describe themselves
+            const registered = getRegisteredSchemaType(metadata.type);
+            return registered && registered.describe
+                ? registered.describe(schema)
+                : metadata.type;
+        }
+    }
+}
+
+// Returns the JSON pointer (RFC 6901) for the property `key` of the value at `pointer`.
+export function appendPointer (pointer, key) {
+    const escaped = String(key)
+        .replace(/~/g, '~0')
+        .replace(/\//g, '~1');
+
+    return `${pointer}/${escaped}`;
+}
+
+// Creates a validation error for the value `test` at `path` (a JSON pointer)
+// that doesn't match `schema`.
+function validationError (path, schema, test, message) {
+    const expected = describeSchema(schema);
+    const actual = describeValue(test);
+
+    return {
+        path,
+        expected,
+        actual,
+        message: message || `Expected ${expected}, but got ${actual}`,
+    };
+}
+
+// Returns a list of validation errors describing each part of `test` that doesn't
+// match `schema`. The list is empty if `test` matches.
+//
+// Each error is an object with the following keys:
+//      path: a JSON pointer to the failing value (the empty string is `test` itself)
+//      expected: a description of the expected type
+//      actual: a description of the type of the failing value
+//      message: a human-readable message
+//
+// Usage:
+//
+//      const schema = {
+//          foo: SchemaTypes.string({ required: true }),
+//          bar: SchemaTypes.arrayOf(SchemaTypes.number())(),
+//      };
+//
+//      validate(schema, { foo: 'foo', bar: [1, '2'] });
+//      // [ { path: '/bar/1', expected: 'number', actual: 'string', message: 'Expected number, but got string' } ]
+export function validate (schema, test) {
+    // Throw if the schema is bad.
+    try {
+        validateSchema(schema);
+    } catch (err) {
+        throw new Error('Expected "schema" to be a valid schema');
+    }
+
+    // Pass control to rec function
+    return validateInner(schema, test, '', test);
+}
+
+// Recursively collect the validation errors for `test` against `schema`.
+// The errors are reported relative to the JSON pointer `path`.
+// `root` is the value passed to validate(), for custom validators.
+function validateInner (schema, test, path, root) {
+    // Base case: SchemaType leaf
+    if (isSchemaType(schema)) {
+        return validateSchemaType(schema, test, path, root);
+    }
+
+    // Object case
+    // Collect the errors for each key of schema
+    return validateFields(schema, test, path, root);
+}
+
+// Collect the validation errors for each key of the object schema `fields`
+function validateFields (fields, test, path, root) {
+    return Object.keys(fields).reduce(
+        (errors, key) => errors.concat(
+            validateInner(fields[key], test && test[key], appendPointer(path, key), root)
+        ),
+        []
+    );
+}
+
+// Collect the validation errors for the children of `test`, if `schemaType` is a
+// container type (arrayOf, tuple, shape, objectOf, taggedUnion, or a lazy) and `test` is the right kind of container.
+// Returns null otherwise.
+function validateChildren (schemaType, test, path, root) {
+    const metadata = getSchemaTypeMetadata(schemaType);
+
+    // Lazy SchemaTypes report the errors for the schema they stand for
+    if (metadata.type === 'lazy') {
+        return validateInner(metadata.resolve(), test, path, root);
+    }
+
+    // Arrays report each failing element
+    if (metadata.type === 'arrayOf' && Array.isArray(test)) {
+        return test.reduce(
+            (errors, el, idx) => errors.concat(
+                validateInner(metadata.elementType, el, appendPointer(path, idx), root)
+            ),
+            []
+        );
+    }
+
+    // Tuples report extra elements, and each failing position
+    if (metadata.type === 'tuple' && Array.isArray(test)) {
+        const positions = metadata.elementTypes.length;
+        const lengthErrors = test.length > positions
+            ? [ validationError(path, schemaType, test, `Expected at most ${positions} ${positions === 1 ? 'element' : 'elements'}, but got ${test.length}`) ]
+            : [];
+
+        return metadata.elementTypes.reduce(
+            (errors, type, idx) => errors.concat(
+                validateInner(type, test[idx], appendPointer(path, idx), root)
+            ),
+            lengthErrors
+        );
+    }
+
+    // Shapes report each failing field
+    if (metadata.type === 'shape' && isObject(test)) {
+        return validateFields(metadata.fields, test, path, root);
+    }
+
+    // Tagged unions report a bad tag, or else each failing field of the variant
+    if (metadata.type === 'taggedUnion' && isObject(test)) {
+        const variant = getTaggedVariant(schemaType, test);
+
+        return variant === null
+            ? validateSchemaType(metadata.tagType, test[metadata.tag], appendPointer(path, metadata.tag), root)
+            : validateInner(variant, test, path, root);
+    }
+
+    // Maps report each bad key, and each failing value
+    if (metadata.type === 'objectOf' && isObject(test)) {
+        return Object.keys(test).reduce(
+            (errors, key) => {
+                const keyPath = appendPointer(path, key);
+                const keyMessage = checkMapKey(metadata.keyPattern, key);
+                const keyErrors = keyMessage === null
+                    ? []
+                    : [ { path: keyPath, expected: `key matching ${metadata.keyPattern}`, actual: 'key', message: keyMessage } ];
+
+                return errors
+                    .concat(keyErrors)
+                    .concat(validateInner(metadata.valueType, test[key], keyPath, root));
+            },
+            []
+        );
+    }
+
+    return null;
+}
+
+// Returns true if `test` has the type of the oneOfType member `type` (see matchesUnionMember),
+// whether or not it breaks the member's constraints. Object schemas only check that it's a vanilla object.
+function hasMemberType (type, test, context) {
+    if (!isSchemaType(type)) {
+        return isObject(test);
+    }
+
+    const validateType = getSchemaTypeMetadata(type).validateType || type;
+    return validateType(test, context);
+}
+
+// Collect the validation errors for `test` against the SchemaType `schemaType`.
+function validateSchemaType (schemaType, test, path, root) {
+    // Null is fine for nullable SchemaTypes (no matter what else they'd check)
+    if (test === null && schemaType.nullable) {
+        return [];
+    }
+
+    // Missing values are only a problem if they're required
+    const context = { path, root };
+    if (!isSomething(test)) {
+        return schemaType(test, context)
+            ? []
+            : [ validationError(path, schemaType, test, 'Required value is missing') ];
+    }
+
+    // Containers of the right kind report their children, and then their own constraints
+    const childErrors = validateChildren(schemaType, test, path, root);
+
+    // SchemaTypes created without createSchemaType() only have the combined check
+    const metadata = getSchemaTypeMetadata(schemaType);
+    const validateType = metadata.validateType || schemaType;
+
+    if (childErrors === null && !validateType(test, context)) {
+        // Enums report the actual value, since its type alone is usually fine
+        if (metadata.type === 'oneOf') {
+            const values = metadata.values.map(value => JSON.stringify(value)).join(', ');
+            return [
+                validationError(path, schemaType, test, `Expected one of ${values}, but got ${JSON.stringify(test)}`)
+            ];
+        }
+
+        // Unions report the errors of the only member with the value's type (e.g. for a number
+        // that's too big), rather than just the type of the value
+        if (metadata.type === 'oneOfType') {
+            const members = metadata.types.filter(type => hasMemberType(type, test, context));
+            const memberErrors = members.length === 1
+                ? validateInner(members[0], test, path, root)
+                : [];
+
+            if (memberErrors.length > 0) {
+                return memberErrors;
+            }
+        }
+
+        return [ validationError(path, schemaType, test) ];
+    }
+
+    // Values of the right type that break a constraint report the constraint
+    const constraintErrors = (metadata.constraints || [])
+        .map(check => check(test, context))
+        .filter(message => message !== null)
+        .map(message => validationError(path, schemaType, test, message));
+
+    return (childErrors || []).concat(constraintErrors);
+}
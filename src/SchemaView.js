@@ -7,6 +7,7 @@ import { PropTypes as Props } from './constants'
 import PropTypes from 'prop-types'
 
 import { HoverPopover } from './HoverPopover'
+import * as Schema from './Schema'
 
 import { Div, Span } from 'glamorous'
 
@@ -16,11 +17,20 @@ const SCHEMA_TYPE_IDENTIFIER = {
   // "nested" schema types
   shape: 'shape',
   arrayOf: 'arrayOf',
+  tuple: 'tuple',
+  objectOf: 'objectOf',
+  oneOfType: 'oneOfType',
+  taggedUnion: 'taggedUnion',
+  lazy: 'lazy',
+
+  // leaf schema types with arguments
+  oneOf: 'oneOf',
 
   // "primitive"/leaf schema types
   any: 'any',
   string: 'string',
   boolean: 'boolean',
+  null: 'null',
   function: 'function',
   number: 'number',
   date: 'date',
@@ -31,8 +41,8 @@ const SCHEMA_TYPE_IDENTIFIER = {
 // Assumes schema is already a valid Schema.
 // Returns the corresponding type identifier (a string from the object above) for the schema.
 export function getSchemaTypeIdentifier (schema) {
-  return schema._isSchemaType
-    ? schema._type
+  return Schema.isSchemaType(schema)
+    ? Schema.getSchemaTypeName(schema)
     : SCHEMA_TYPE_IDENTIFIER.shape
 }
 
@@ -56,25 +66,58 @@ export default class SchemaView extends React.Component {
     })
   }
 
+  // SchemaTypes with a description show it below the schema
   render () {
+    const description = Schema.isSchemaType(this.props.schema) && this.props.schema.description
+    if (!description) {
+      return this.renderSchema()
+    }
+
+    return <Div>
+      {this.renderSchema()}
+      <Div css={descriptionStyle}>{description}</Div>
+    </Div>
+  }
+
+  renderSchema () {
     const identifier = getSchemaTypeIdentifier(this.props.schema)
     switch (identifier) {
       case SCHEMA_TYPE_IDENTIFIER.any:
       case SCHEMA_TYPE_IDENTIFIER.string:
       case SCHEMA_TYPE_IDENTIFIER.boolean:
+      case SCHEMA_TYPE_IDENTIFIER.null:
       case SCHEMA_TYPE_IDENTIFIER.function:
       case SCHEMA_TYPE_IDENTIFIER.number:
       case SCHEMA_TYPE_IDENTIFIER.date:
       case SCHEMA_TYPE_IDENTIFIER.array:
-      case SCHEMA_TYPE_IDENTIFIER.object:
+      case SCHEMA_TYPE_IDENTIFIER.object: {
+        const leaf = <LeafSchema
+          schemaTypeName={identifier}
+          constraints={describeConstraints(this.props.schema)} />
+
         if (typeof this.props.keyName === 'string') {
           return <KeyValueSchemaView
-            preview={<LeafSchema schemaTypeName={identifier} />}
-            schemaElement={<LeafSchema schemaTypeName={identifier} />}
+            preview={leaf}
+            schemaElement={leaf}
             keyName={this.props.keyName}/>
         }
 
-        return <LeafSchema schemaTypeName={identifier} />
+        return leaf
+      }
+
+      case SCHEMA_TYPE_IDENTIFIER.oneOf: {
+        const values = Schema.getSchemaTypeMetadata(this.props.schema).values.map(value => JSON.stringify(value)).join(', ')
+        const leaf = <LeafSchema schemaTypeName={`oneOf(${values})`} />
+
+        if (typeof this.props.keyName === 'string') {
+          return <KeyValueSchemaView
+            preview={leaf}
+            schemaElement={leaf}
+            keyName={this.props.keyName}/>
+        }
+
+        return leaf
+      }
 
       case SCHEMA_TYPE_IDENTIFIER.shape:
         if (typeof this.props.keyName === 'string') {
@@ -91,35 +134,184 @@ export default class SchemaView extends React.Component {
       case SCHEMA_TYPE_IDENTIFIER.arrayOf:
         if (typeof this.props.keyName === 'string') {
           return <KeyValueSchemaView
-            schemaElement={<SchemaView schema={this.props.schema._elementType}/>}
+            schemaElement={<SchemaView schema={Schema.getSchemaTypeMetadata(this.props.schema).elementType}/>}
             keyName={this.props.keyName}
             onToggleExpanded={this.toggleExpanded.bind(this)}
-            preview="ArrayOf"
+            preview={<LeafSchema schemaTypeName="ArrayOf" constraints={describeConstraints(this.props.schema)} />}
             expanded={this.state.expanded}/>
         }
 
         return <Div display="flex" cursor="default">
           <Div width={TRIANGLE_EXPANDER_WIDTH} />
           <Div display="flex" flexDirection="column">
-            <Div css={monospace}>ArrayOf</Div>
-            <SchemaView schema={this.props.schema._elementType}/>
+            <LeafSchema schemaTypeName="ArrayOf" constraints={describeConstraints(this.props.schema)} />
+            <SchemaView schema={Schema.getSchemaTypeMetadata(this.props.schema).elementType}/>
           </Div>
         </Div>
 
-      default:
-        throw new Error('invalid schema type identifier')
+      case SCHEMA_TYPE_IDENTIFIER.tuple:
+        if (typeof this.props.keyName === 'string') {
+          return <KeyValueSchemaView
+            schemaElement={<TuplePositionsSchema schema={this.props.schema}/>}
+            keyName={this.props.keyName}
+            onToggleExpanded={this.toggleExpanded.bind(this)}
+            preview="Tuple"
+            expanded={this.state.expanded}/>
+        }
+
+        return <Div display="flex" cursor="default">
+          <Div width={TRIANGLE_EXPANDER_WIDTH} />
+          <Div display="flex" flexDirection="column">
+            <Div css={monospace}>Tuple</Div>
+            <TuplePositionsSchema schema={this.props.schema}/>
+          </Div>
+        </Div>
+
+      case SCHEMA_TYPE_IDENTIFIER.objectOf: {
+        const { valueType, keyPattern } = Schema.getSchemaTypeMetadata(this.props.schema)
+        const title = <LeafSchema
+          schemaTypeName="ObjectOf"
+          constraints={keyPattern ? `keys: ${keyPattern}` : ''} />
+
+        if (typeof this.props.keyName === 'string') {
+          return <KeyValueSchemaView
+            schemaElement={<SchemaView schema={valueType}/>}
+            keyName={this.props.keyName}
+            onToggleExpanded={this.toggleExpanded.bind(this)}
+            preview={title}
+            expanded={this.state.expanded}/>
+        }
+
+        return <Div display="flex" cursor="default">
+          <Div width={TRIANGLE_EXPANDER_WIDTH} />
+          <Div display="flex" flexDirection="column">
+            {title}
+            <SchemaView schema={valueType}/>
+          </Div>
+        </Div>
+      }
+
+      // The schema of a lazy is only rendered when it's expanded, so recursive
+      // schemas expand one level per click
+      case SCHEMA_TYPE_IDENTIFIER.lazy: {
+        const schemaElement = this.state.expanded
+          ? <SchemaView schema={Schema.resolveLazy(this.props.schema)}/>
+          : null
+
+        if (typeof this.props.keyName === 'string') {
+          return <KeyValueSchemaView
+            schemaElement={schemaElement}
+            keyName={this.props.keyName}
+            onToggleExpanded={this.toggleExpanded.bind(this)}
+            preview="Lazy"
+            expanded={this.state.expanded}/>
+        }
+
+        return <ExpandableSchemaView
+          schemaElement={schemaElement}
+          onToggleExpanded={this.toggleExpanded.bind(this)}
+          preview="Lazy"
+          expanded={this.state.expanded}/>
+      }
+
+      case SCHEMA_TYPE_IDENTIFIER.oneOfType:
+        if (typeof this.props.keyName === 'string') {
+          return <KeyValueSchemaView
+            schemaElement={<UnionMembersSchema schema={this.props.schema}/>}
+            keyName={this.props.keyName}
+            onToggleExpanded={this.toggleExpanded.bind(this)}
+            preview="OneOfType"
+            expanded={this.state.expanded}/>
+        }
+
+        return <Div display="flex" cursor="default">
+          <Div width={TRIANGLE_EXPANDER_WIDTH} />
+          <Div display="flex" flexDirection="column">
+            <Div css={monospace}>OneOfType</Div>
+            <UnionMembersSchema schema={this.props.schema}/>
+          </Div>
+        </Div>
+
+      case SCHEMA_TYPE_IDENTIFIER.taggedUnion: {
+        const title = <LeafSchema
+          schemaTypeName="TaggedUnion"
+          constraints={`tag: ${Schema.getSchemaTypeMetadata(this.props.schema).tag}`} />
+
+        if (typeof this.props.keyName === 'string') {
+          return <KeyValueSchemaView
+            schemaElement={<VariantsSchema schema={this.props.schema}/>}
+            keyName={this.props.keyName}
+            onToggleExpanded={this.toggleExpanded.bind(this)}
+            preview={title}
+            expanded={this.state.expanded}/>
+        }
+
+        return <Div display="flex" cursor="default">
+          <Div width={TRIANGLE_EXPANDER_WIDTH} />
+          <Div display="flex" flexDirection="column">
+            {title}
+            <VariantsSchema schema={this.props.schema}/>
+          </Div>
+        </Div>
+      }
+
+      default: {
+        // Registered SchemaTypes (see Schema.registerSchemaType) are leaves, named by their description
+        const registered = Schema.getRegisteredSchemaType(identifier)
+        if (!registered) {
+          throw new Error('invalid schema type identifier')
+        }
+
+        const leaf = <LeafSchema
+          schemaTypeName={registered.describe ? registered.describe(this.props.schema) : identifier}
+          constraints={describeConstraints(this.props.schema)} />
+
+        if (typeof this.props.keyName === 'string') {
+          return <KeyValueSchemaView
+            preview={leaf}
+            schemaElement={leaf}
+            keyName={this.props.keyName}/>
+        }
+
+        return leaf
+      }
     }
   }
 }
 
+// Options that constrain the values of leaf SchemaTypes, in the order they're displayed
+const CONSTRAINT_OPTIONS = [
+  'format', 'pattern', 'minLength', 'maxLength',
+  'integer', 'min', 'max', 'step',
+  'minItems', 'maxItems', 'uniqueBy',
+  'nullable',
+]
+
+// Returns a description of the constraints set on a SchemaType, e.g. "format: email, maxLength: 80"
+function describeConstraints (schemaType) {
+  return CONSTRAINT_OPTIONS
+    .filter(option => typeof schemaType[option] !== 'undefined')
+    .map(option => `${option}: ${typeof schemaType[option] === 'function' ? 'function' : String(schemaType[option])}`)
+    .join(', ')
+}
+
+const constraintsStyle = { color: '#888', marginLeft: '5px' }
+const descriptionStyle = { color: '#888', maxWidth: '300px', whiteSpace: 'normal' }
+
 class LeafSchema extends React.Component {
   static displayName = 'LeafSchema'
   static propTypes = {
     schemaTypeName: PropTypes.node.isRequired,
+
+    // Optional description of the constraints on the value
+    constraints: PropTypes.string,
   }
 
   render () {
-    return <Div css={monospace}>{this.props.schemaTypeName}</Div>
+    return <Div css={monospace}>
+      {this.props.schemaTypeName}
+      {this.props.constraints && <Span css={constraintsStyle}>({this.props.constraints})</Span>}
+    </Div>
   }
 }
 
@@ -132,7 +324,7 @@ class ShapeSchema extends React.Component {
   render () {
     return <div>
       {
-        R.toPairs(this.props.schema).map(([ key, schema ]) =>
+        R.toPairs(Schema.getShapeFields(this.props.schema)).map(([ key, schema ]) =>
           <SchemaView key={key} schema={schema} keyName={key} />
         )
       }
@@ -140,6 +332,66 @@ class ShapeSchema extends React.Component {
   }
 }
 
+// Lists the alternatives of a oneOfType schema
+class UnionMembersSchema extends React.Component {
+  static displayName = 'UnionMembersSchema'
+  static propTypes = {
+    schema: Props.Schema.isRequired,
+  }
+
+  render () {
+    return <div>
+      {
+        Schema.getSchemaTypeMetadata(this.props.schema).types.map((schema, idx) =>
+          <Div key={idx} display="flex" flexDirection="row">
+            <Div marginRight="5px" css={monospace}>|</Div>
+            <SchemaView schema={schema}/>
+          </Div>
+        )
+      }
+    </div>
+  }
+}
+
+// Lists the positions of a tuple schema, keyed by their indices
+class TuplePositionsSchema extends React.Component {
+  static displayName = 'TuplePositionsSchema'
+  static propTypes = {
+    schema: Props.Schema.isRequired,
+  }
+
+  render () {
+    return <div>
+      {
+        Schema.getSchemaTypeMetadata(this.props.schema).elementTypes.map((schema, idx) =>
+          <SchemaView key={idx} schema={schema} keyName={String(idx)} />
+        )
+      }
+    </div>
+  }
+}
+
+// Lists the variants of a taggedUnion schema, keyed by their tag values
+class VariantsSchema extends React.Component {
+  static displayName = 'VariantsSchema'
+  static propTypes = {
+    schema: Props.Schema.isRequired,
+  }
+
+  render () {
+    return <div>
+      {
+        R.toPairs(Schema.getSchemaTypeMetadata(this.props.schema).variants).map(([ key, schema ]) =>
+          // Variants without any fields (besides the tag) aren't valid schemas on their own
+          Object.keys(Schema.getShapeFields(schema)).length === 0
+            ? <KeyValueSchemaView key={key} keyName={key} preview="{}" />
+            : <SchemaView key={key} schema={schema} keyName={key} />
+        )
+      }
+    </div>
+  }
+}
+
 const TRIANGLE_RIGHT = '▶'
 const TRIANGLE_DOWN = '▼'
 const TRIANGLE_EXPANDER_WIDTH = "16px"
@@ -147,8 +399,8 @@ const TRIANGLE_EXPANDER_WIDTH = "16px"
 class KeyValueSchemaView extends React.Component {
   static displayName = 'KeyValueSchemaView'
   static propTypes = {
-    // Rendering of the actual schema
-    schemaElement: PropTypes.node.isRequired,
+    // Rendering of the actual schema (only required while it's expanded)
+    schemaElement: PropTypes.node,
 
     // For expandable schemas, the preview of the schema to show in line with the key
     preview: PropTypes.node.isRequired,
@@ -196,6 +448,37 @@ class KeyValueSchemaView extends React.Component {
   }
 }
 
+// Like KeyValueSchemaView, for an expandable schema without a key
+class ExpandableSchemaView extends React.Component {
+  static displayName = 'ExpandableSchemaView'
+  static propTypes = {
+    // Rendering of the actual schema
+    schemaElement: PropTypes.node,
+
+    // The preview of the schema to show next to the expander
+    preview: PropTypes.node.isRequired,
+
+    expanded: PropTypes.bool,
+    onToggleExpanded: PropTypes.func.isRequired,
+  }
+
+  render () {
+    const arrow = this.props.expanded ? TRIANGLE_DOWN : TRIANGLE_RIGHT
+    return (
+      <Div display="flex" cursor="default">
+        <Div display="flex" width={TRIANGLE_EXPANDER_WIDTH} onClick={this.props.onToggleExpanded}>
+          <Span fontSize="9px" padding="2px">{ arrow }</Span>
+        </Div>
+        <Div display="flex" flexDirection="column">
+          <Div css={monospace} onClick={this.props.onToggleExpanded}>{this.props.preview}</Div>
+
+          { this.props.expanded && <Div>{ this.props.schemaElement }</Div> }
+        </Div>
+      </Div>
+    )
+  }
+}
+
 // A Popover with a SchemaView inside
 export const SchemaPopover = props => {
   const popoverContent = (
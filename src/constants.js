@@ -1,4 +1,4 @@
-import { invalidSchemaMessage, validateSchema } from './Schema';
+import { invalidSchemaMessage, isSchemaType, validateSchema } from './Schema';
 
 // Returns a version of `validator` that will accept the prop
 // if it's undefined.
@@ -22,7 +22,7 @@ function addIsRequiredProperty (validator) {
 function validateSchemaTypeProp (props, propName, componentName) {
     const schemaType = props[propName];
 
-    if (schemaType && schemaType.isSchemaType) {
+    if (isSchemaType(schemaType)) {
         return null;
     }
 
@@ -66,6 +66,12 @@ export const BaseClassnames = {
     // <tr /> containing column titles
     ColumnTitles: appendTo('editor__column-titles'),
 
+    // <tr /> containing the titles of groups of columns, above the column titles
+    ColumnGroups: appendTo('editor__column-groups'),
+
+    // <tr /> containing the filters of the columns, below the column titles
+    ColumnFilters: appendTo('editor__column-filters'),
+
     // Individual <th /> column title
     ColumnTitle: appendTo('column-title'),
 
@@ -5,10 +5,13 @@
  */
 
 // SchemaTypes
-export { SchemaTypes, matchesSchema } from './Schema';
+export { SchemaTypes, matchesSchema, validate, createDefault, registerSchemaType, sortIndices, filterIndices } from './Schema';
 
-// ObjectEditor, ArrayEditor
-export { ObjectEditor, ArrayEditor } from './Editor';
+// JSON Schema conversion
+export { fromJSONSchema, toJSONSchema } from './JSONSchema';
+
+// ObjectEditor, ArrayEditor, MapEditor
+export { ObjectEditor, ArrayEditor, MapEditor } from './Editor';
 
 // PropTypes
 export { PropTypes } from './constants';
@@ -54,7 +54,9 @@ export const delay = R.curry((durationMs, f) => {
 export const safePath = R.useWith(R.path, [wrapArray])
 
 // isFunctionProp :: (String | [String]) -> Object -> Boolean
-const isFunctionProp = R.curryN(2, R.pipe(safePath, R.is(Function)))
+// Uses typeof rather than instanceof, since functions of other realms (e.g. the window of
+// an iframe, or of jsdom) aren't instances of this realm's Function.
+const isFunctionProp = R.curryN(2, R.pipe(safePath, value => typeof value === 'function'))
 
 // node's EventEmitter.once() for EventTargets
 export const eventOnce = R.curry((event, f, eventTarget) => {
@@ -97,6 +99,12 @@ export const keyBy = R.curryN(2, R.converge(
 
 export const parseDecimalInt = n => parseInt(n, 10)
 
+// Returns a copy of object with the key `from` renamed to `to`, keeping the order of the keys
+// renameKey :: String -> String -> Object -> Object
+export const renameKey = R.curry((from, to, object) => R.fromPairs(
+  R.toPairs(object).map(([ key, value ]) => [ key === from ? to : key, value ])
+))
+
 export const capitalize = str => {
   if (!str) {
     return str
@@ -105,6 +113,116 @@ export const capitalize = str => {
   return `${str[0].toUpperCase()}${str.slice(1)}`
 }
 
+/* *********************************** *
+ * ***********    DATES    *********** *
+ * *********************************** */
+
+// Converts a stored date (a Date, an ISO string, or epoch milliseconds) to a Date.
+// ISO strings without a time ("YYYY-MM-DD") are the start of that day in `timezone` (see parseDateInput).
+// Returns null if the value isn't a valid date.
+export const toDate = (value, timezone) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return parseDateInput(timezone, value)
+  }
+
+  const isDate = Object.prototype.toString.call(value) === '[object Date]'
+  if (!isDate && typeof value !== 'string' && typeof value !== 'number') {
+    return null
+  }
+
+  const date = new Date(isDate ? value.getTime() : value)
+  return isNaN(date.getTime()) ? null : date
+}
+
+// Converts a Date to the way it's stored:
+//    'date' -> a Date instance
+//    'iso' -> an ISO 8601 string
+//    'epoch' -> milliseconds since the epoch
+// fromDate :: String -> Date -> (Date | String | Number)
+export const fromDate = R.curry((storage, date) => {
+  switch (storage) {
+    case 'iso':
+      return date.toISOString()
+
+    case 'epoch':
+      return date.getTime()
+
+    default:
+      return new Date(date.getTime())
+  }
+})
+
+// Returns the calendar fields of a Date, either in UTC ('utc') or in local time (anything else)
+const dateFields = (timezone, date) => timezone === 'utc'
+  ? [
+    date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds(),
+  ]
+  : [
+    date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds(),
+  ]
+
+const padNumber = R.curry((length, n) => String(n).padStart(length, '0'))
+
+// Formats a Date using the following tokens:
+//    YYYY: year, MM: month, DD: day of the month,
+//    HH: hours (24h), mm: minutes, ss: seconds, SSS: milliseconds
+// The fields are taken in UTC if timezone is 'utc', and in local time otherwise.
+// formatDate :: String -> String -> Date -> String
+export const formatDate = R.curry((format, timezone, date) => {
+  const [ year, month, day, hours, minutes, seconds, ms ] = dateFields(timezone, date)
+  const tokens = {
+    YYYY: padNumber(4, year),
+    MM: padNumber(2, month + 1),
+    DD: padNumber(2, day),
+    HH: padNumber(2, hours),
+    mm: padNumber(2, minutes),
+    ss: padNumber(2, seconds),
+    SSS: padNumber(3, ms),
+  }
+
+  return format.replace(/YYYY|SSS|MM|DD|HH|mm|ss/g, token => tokens[token])
+})
+
+// Parses the value of a date or datetime-local input ("YYYY-MM-DD" or "YYYY-MM-DDTHH:mm[:ss]").
+// The time is read in UTC if timezone is 'utc', and in local time otherwise.
+// Returns null if the text can't be parsed, or is a day that doesn't exist (e.g. "2021-02-31").
+// parseDateInput :: String -> String -> Date | null
+export const parseDateInput = R.curry((timezone, text) => {
+  const match = /^(\d{4,})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/.exec(text)
+  if (!match) {
+    return null
+  }
+
+  // Fractional seconds are padded, so that ".5" is 500ms
+  const [ year, month, day, hours = 0, minutes = 0, seconds = 0, ms = 0 ] = R.adjust(
+    6,
+    field => field && field.padEnd(3, '0'),
+    match.slice(1)
+  ).map(field => typeof field === 'undefined' ? undefined : parseDecimalInt(field))
+  const fields = [ year, month - 1, day, hours, minutes, seconds, ms ]
+
+  const date = timezone === 'utc'
+    ? new Date(Date.UTC(...fields))
+    : new Date(...fields)
+
+  // Dates roll impossible days over into the next month, so check that the day reads back the same
+  return isNaN(date.getTime()) || formatDate('YYYY-MM-DD', timezone, date) !== text.slice(0, match[1].length + 6)
+    ? null
+    : date
+})
+
+// Converts a Date to the way a date SchemaType with the options `{ storage, timezone, time }` stores it
+// (see fromDate). ISO strings for SchemaTypes without a time are only the day ("YYYY-MM-DD") in
+// `timezone`, like the "date" format of JSON schemas.
+// toStoredDate :: Object -> Date -> (Date | String | Number)
+export const toStoredDate = R.curry(({ storage, timezone, time = true }, date) => {
+  return storage === 'iso' && time === false
+    ? formatDate('YYYY-MM-DD', timezone, date)
+    : fromDate(storage, date)
+})
+
 /* *********************************** *
  * *********** MATERIAL UI *********** *
  * *********************************** */
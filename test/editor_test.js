@@ -0,0 +1,165 @@
+/**
+ * @jest-environment jsdom
+ */
+import React from 'react'
+import ReactDOM from 'react-dom'
+import TestUtils from 'react-dom/test-utils'
+
+import { ArrayEditor, ObjectEditor } from '../src/Editor'
+import * as Schema from '../src/Schema'
+
+// The containers of the rendered elements, which are removed after each test
+let containers = []
+
+// Renders `element` into a new container in the document, and returns the container
+const render = element => {
+  const container = document.createElement('div')
+  document.body.appendChild(container)
+  ReactDOM.render(element, container)
+  containers.push(container)
+  return container
+}
+
+afterEach(() => {
+  containers.forEach(container => {
+    ReactDOM.unmountComponentAtNode(container)
+    document.body.removeChild(container)
+  })
+  containers = []
+})
+
+describe('registered SchemaTypes', () => {
+  const code = Schema.registerSchemaType({
+    name: 'editorTestCode',
+    validate: value => typeof value === 'string' && /^[A-Z]{3}$/.test(value),
+  })
+
+  it('edits the values of types without a Cell as text', () => {
+    const updates = []
+    const container = render(
+      <ObjectEditor
+        type={{ code: code() }}
+        object={{ code: 'AB' }}
+        onUpdateElement={updated => updates.push(updated)} />
+    )
+
+    const input = container.querySelector('input[type="text"]')
+    expect(input.value).toBe('AB')
+    expect(container.querySelectorAll('.cell--object')).toHaveLength(0)
+
+    TestUtils.Simulate.change(input, { target: { value: 'ABC' } })
+    expect(updates).toEqual([ { code: 'ABC' } ])
+  })
+
+  it('shows values of types without a Cell that aren\'t strings', () => {
+    const container = render(
+      <ObjectEditor
+        type={{ code: code() }}
+        object={{ code: 42 }}
+        onUpdateElement={() => {}} />
+    )
+
+    expect(container.querySelector('.cell--read-only').textContent).toContain('42')
+    expect(container.querySelectorAll('input[type="text"]')).toHaveLength(0)
+  })
+})
+
+describe('nested editors', () => {
+  const schema = {
+    name: Schema.SchemaTypes.string(),
+    address: Schema.SchemaTypes.shape({
+      city: Schema.SchemaTypes.string({ required: true }),
+    })(),
+  }
+
+  // Returns the texts of the error messages in `container`
+  const getErrorTexts = container => Array.from(container.querySelectorAll('p'))
+    .map(p => p.textContent)
+    .filter(text => /error|missing/i.test(text))
+
+  it('don\'t report errors for objects that aren\'t in the document yet', () => {
+    const container = render(
+      <ObjectEditor type={schema} object={{ name: 'Ada' }} onUpdateElement={() => {}} />
+    )
+
+    TestUtils.Simulate.click(container.querySelector('[aria-label="Edit value"]'))
+    expect(getErrorTexts(document.body)).toEqual([])
+  })
+
+  it('report errors for objects in the document', () => {
+    const container = render(
+      <ObjectEditor type={schema} object={{ name: 'Ada', address: {} }} onUpdateElement={() => {}} />
+    )
+
+    TestUtils.Simulate.click(container.querySelector('[aria-label="Edit value"]'))
+    expect(getErrorTexts(container)).toContain('Required value is missing')
+  })
+
+  it('don\'t show errors in rows that don\'t show them yet', () => {
+    const container = render(
+      <ArrayEditor
+        type={{ address: schema.address }}
+        object={[]}
+        onUpdateElement={() => {}}
+        onRemoveElements={() => {}}
+        onAddElement={() => true} />
+    )
+
+    // The add row starts with the defaults, and an empty address
+    expect(container.querySelectorAll('.cell--invalid')).toHaveLength(0)
+    expect(container.querySelectorAll('[class*="MuiBadge-badge"]')).toHaveLength(0)
+  })
+})
+
+describe('ArrayEditor sort', () => {
+  const schema = {
+    name: Schema.SchemaTypes.string(),
+    tags: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())(),
+  }
+  const people = [ { name: 'b' }, { name: 'c' }, { name: 'a' } ]
+
+  it('leaves out the entries of the sort prop that can\'t sort the elements, with a warning', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const container = render(
+      <ArrayEditor
+        type={schema}
+        object={people}
+        sort={[
+          { key: 'missing', direction: 'asc' },
+          { key: 'tags', direction: 'asc' },
+          { key: 'name', direction: 'sideways' },
+          { key: 'name', direction: 'desc' },
+        ]}
+        onUpdateElement={() => {}}
+        onRemoveElements={() => {}}
+        onAddElement={() => true} />
+    )
+
+    const names = Array.from(container.querySelectorAll('.editor__row--array'))
+      .map(row => row.querySelector('input[type="text"]').value)
+    expect(names).toEqual([ 'c', 'b', 'a' ])
+    expect(warn).toHaveBeenCalledTimes(3)
+    warn.mockRestore()
+  })
+})
+
+describe('DateCell', () => {
+  it('shows an error for days that don\'t exist, instead of storing another day', () => {
+    const updates = []
+    const container = render(
+      <ObjectEditor
+        type={{ day: Schema.SchemaTypes.date({ storage: 'iso', time: false }) }}
+        object={{ day: '2021-02-01' }}
+        onUpdateElement={updated => updates.push(updated)} />
+    )
+
+    const input = container.querySelector('input[type="date"]')
+    TestUtils.Simulate.change(input, { target: { value: '2021-02-31' } })
+    expect(updates).toEqual([])
+    expect(container.querySelector('.cell--invalid').textContent).toContain('"2021-02-31" is not a valid date')
+
+    TestUtils.Simulate.change(input, { target: { value: '2021-02-28' } })
+    expect(updates).toEqual([ { day: '2021-02-28' } ])
+    expect(container.querySelectorAll('.cell--invalid')).toHaveLength(0)
+  })
+})
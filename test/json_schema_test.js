@@ -0,0 +1,743 @@
+/*
+ * Test JSON Schema conversion.
+ */
+
+import * as Schema from '../src/Schema';
+import { fromJSONSchema, toJSONSchema } from '../src/JSONSchema';
+
+// Converts `jsonSchema`, collecting the warnings instead of logging them
+function convert (jsonSchema) {
+    const warnings = [];
+    const schema = fromJSONSchema(jsonSchema, { onWarning: message => warnings.push(message) });
+    return { schema, warnings };
+}
+
+describe('fromJSONSchema()', () => {
+    it('should convert an object to an object schema', done => {
+        const { schema, warnings } = convert({
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                age: { type: 'integer' },
+                admin: { type: 'boolean' },
+            },
+            required: [ 'name' ],
+        });
+
+        expect(warnings).toEqual([]);
+        expect(Object.keys(schema)).toEqual([ 'name', 'age', 'admin' ]);
+        expect(Schema.getSchemaTypeName(schema.name)).toBe('string');
+        expect(schema.name.required).toBe(true);
+        expect(Schema.getSchemaTypeName(schema.age)).toBe('number');
+        expect(schema.age.integer).toBe(true);
+        expect(schema.age.required).toBe(false);
+        expect(Schema.getSchemaTypeName(schema.admin)).toBe('boolean');
+
+        expect(Schema.matchesSchema(schema, { name: 'foo', age: 3 })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { age: 3 })).toBeFalsy();
+        expect(Schema.matchesSchema(schema, { name: 'foo', age: 3.5 })).toBeFalsy();
+        done();
+    });
+
+    it('should convert nested objects to shapes', done => {
+        const { schema } = convert({
+            properties: {
+                address: {
+                    type: 'object',
+                    properties: { city: { type: 'string' } },
+                    required: [ 'city' ],
+                },
+                meta: { type: 'object' },
+            },
+            required: [ 'address' ],
+        });
+
+        expect(Schema.getSchemaTypeName(schema.address)).toBe('shape');
+        expect(schema.address.required).toBe(true);
+        expect(Schema.getShapeFields(schema.address).city.required).toBe(true);
+        expect(Schema.getSchemaTypeName(schema.meta)).toBe('object');
+
+        expect(Schema.matchesSchema(schema, { address: { city: 'Paris' }, meta: { a: 1 } })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { address: {} })).toBeFalsy();
+        done();
+    });
+
+    it('should convert arrays', done => {
+        const { schema } = convert({
+            type: 'array',
+            items: { type: 'number' },
+        });
+
+        expect(Schema.getSchemaTypeName(schema)).toBe('arrayOf');
+        expect(Schema.getSchemaTypeName(Schema.getSchemaTypeMetadata(schema).elementType)).toBe('number');
+        expect(Schema.matchesSchema(schema, [ 1, 2 ])).toBeTruthy();
+        expect(Schema.matchesSchema(schema, [ 1, '2' ])).toBeFalsy();
+
+        expect(Schema.getSchemaTypeName(convert({ type: 'array' }).schema)).toBe('array');
+        done();
+    });
+
+    it('should convert enum and const', done => {
+        const { schema } = convert({
+            properties: {
+                status: { enum: [ 'draft', 'live' ] },
+                version: { const: 2 },
+            },
+        });
+
+        expect(Schema.getSchemaTypeName(schema.status)).toBe('oneOf');
+        expect(Schema.getSchemaTypeMetadata(schema.status).values).toEqual([ 'draft', 'live' ]);
+        expect(Schema.getSchemaTypeMetadata(schema.version).values).toEqual([ 2 ]);
+        done();
+    });
+
+    it('should convert anyOf, oneOf and multiple types to unions', done => {
+        const { schema } = convert({
+            properties: {
+                a: { anyOf: [ { type: 'string' }, { type: 'number' } ] },
+                b: { oneOf: [ { type: 'string' }, { type: 'object', properties: { x: { type: 'number' } } } ] },
+                c: { type: [ 'string', 'boolean' ] },
+            },
+        });
+
+        expect(Schema.getSchemaTypeName(schema.a)).toBe('oneOfType');
+        expect(Schema.getSchemaTypeMetadata(schema.a).types.map(Schema.getSchemaTypeName)).toEqual([ 'string', 'number' ]);
+        expect(Schema.getSchemaTypeMetadata(schema.b).types.map(Schema.getSchemaTypeName)).toEqual([ 'string', 'shape' ]);
+        expect(Schema.getSchemaTypeMetadata(schema.c).types.map(Schema.getSchemaTypeName)).toEqual([ 'string', 'boolean' ]);
+
+        expect(Schema.matchesSchema(schema, { a: 1, b: { x: 1 }, c: true })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { a: true })).toBeFalsy();
+        done();
+    });
+
+    it('should convert the null type', done => {
+        const { schema, warnings } = convert({
+            properties: {
+                nothing: { type: 'null' },
+                name: { type: [ 'string', 'null' ] },
+            },
+        });
+
+        expect(warnings).toEqual([]);
+        expect(Schema.getSchemaTypeName(schema.nothing)).toBe('null');
+        expect(Schema.matchesSchema(schema, { nothing: null, name: null })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { nothing: 0 })).toBeFalsy();
+        done();
+    });
+
+    it('should convert unions of objects with a constant property to tagged unions', done => {
+        const { schema, warnings } = convert({
+            properties: {
+                block: {
+                    oneOf: [
+                        {
+                            type: 'object',
+                            properties: { kind: { const: 'text' }, body: { type: 'string' } },
+                            required: [ 'kind', 'body' ],
+                        },
+                        {
+                            type: 'object',
+                            properties: { kind: { enum: [ 'divider' ] } },
+                        },
+                    ],
+                },
+            },
+            required: [ 'block' ],
+        });
+
+        const metadata = Schema.getSchemaTypeMetadata(schema.block);
+        expect(warnings).toEqual([]);
+        expect(metadata.type).toBe('taggedUnion');
+        expect(metadata.tag).toBe('kind');
+        expect(Object.keys(metadata.variants)).toEqual([ 'text', 'divider' ]);
+        expect(schema.block.required).toBe(true);
+
+        expect(Schema.matchesSchema(schema, { block: { kind: 'text', body: 'Hello' } })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { block: { kind: 'divider' } })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { block: { kind: 'text' } })).toBeFalsy();
+        done();
+    });
+
+    it('should convert array constraints', done => {
+        const { schema, warnings } = convert({
+            properties: {
+                tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3, uniqueItems: true },
+                anything: { type: 'array', maxItems: 2 },
+            },
+        });
+
+        expect(warnings).toEqual([]);
+        expect(schema.tags.minItems).toBe(1);
+        expect(schema.tags.maxItems).toBe(3);
+        expect(schema.tags.uniqueBy).toBe(true);
+        expect(Schema.matchesSchema(schema, { tags: [ 'a', 'b' ] })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { tags: [ 'a', 'a' ] })).toBeFalsy();
+        expect(Schema.matchesSchema(schema, { tags: [] })).toBeFalsy();
+        expect(Schema.matchesSchema(schema, { anything: [ 1, 2, 3 ] })).toBeFalsy();
+        done();
+    });
+
+    it('should convert lists of items to tuples', done => {
+        const { schema, warnings } = convert({
+            properties: {
+                range: {
+                    type: 'array',
+                    items: [ { type: 'number' }, { type: 'number' }, { type: 'string' } ],
+                    minItems: 2,
+                    additionalItems: false,
+                },
+                loose: {
+                    type: 'array',
+                    items: [ { type: 'string' } ],
+                    additionalItems: true,
+                },
+                open: {
+                    type: 'array',
+                    items: [ { type: 'string' } ],
+                },
+            },
+        });
+
+        const types = Schema.getSchemaTypeMetadata(schema.range).elementTypes;
+        expect(Schema.getSchemaTypeName(schema.range)).toBe('tuple');
+        expect(types.map(Schema.getSchemaTypeName)).toEqual([ 'number', 'number', 'string' ]);
+        expect(types.map(type => !!type.required)).toEqual([ true, true, false ]);
+        expect(warnings).toEqual([
+            '#/properties/loose: Tuples can\'t have additional items, so "additionalItems" was ignored.',
+            '#/properties/open: Tuples can\'t have additional items, so items after the listed ones (allowed when "additionalItems" is missing) aren\'t allowed.',
+        ]);
+        expect(Schema.matchesSchema(schema, { open: [ 'a', 'b' ] })).toBeFalsy();
+        done();
+    });
+
+    it('should resolve references to definitions', done => {
+        const { schema, warnings } = convert({
+            properties: {
+                tag: { $ref: '#/definitions/tag' },
+                'a/b': { $ref: '#/definitions/a~1b' },
+            },
+            required: [ 'tag' ],
+            definitions: {
+                tag: { type: 'string', maxLength: 3 },
+                'a/b': { type: 'boolean' },
+            },
+        });
+
+        expect(warnings).toEqual([]);
+        expect(Schema.getSchemaTypeName(schema.tag)).toBe('string');
+        expect(schema.tag.maxLength).toBe(3);
+        expect(schema.tag.required).toBe(true);
+        expect(Schema.getSchemaTypeName(schema['a/b'])).toBe('boolean');
+        done();
+    });
+
+    it('should convert string constraints', done => {
+        const { schema, warnings } = convert({
+            properties: {
+                email: { type: 'string', format: 'email', maxLength: 80 },
+                code: { type: 'string', pattern: '^[A-Z]+$', minLength: 2 },
+                website: { type: 'string', format: 'uri' },
+                created: { type: 'string', format: 'date-time' },
+                ipv4: { type: 'string', format: 'ipv4' },
+            },
+        });
+
+        expect(schema.email.format).toBe('email');
+        expect(schema.email.maxLength).toBe(80);
+        expect(schema.code.pattern).toBe('^[A-Z]+$');
+        expect(schema.code.minLength).toBe(2);
+        expect(schema.website.format).toBe('url');
+        expect(Schema.getSchemaTypeName(schema.created)).toBe('date');
+        expect(schema.created.storage).toBe('iso');
+        expect(schema.ipv4.format).toBeUndefined();
+        expect(warnings).toEqual([
+            '#/properties/ipv4: The string format "ipv4" is not supported and was ignored.',
+        ]);
+
+        expect(Schema.matchesSchema(schema, { code: 'AB', created: '2019-01-01T00:00:00.000Z' })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { code: 'ab' })).toBeFalsy();
+        done();
+    });
+
+    it('should convert number constraints', done => {
+        const { schema } = convert({
+            properties: {
+                percent: { type: 'number', minimum: 0, maximum: 100, multipleOf: 5 },
+                positive: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 10 },
+            },
+        });
+
+        expect(schema.percent.min).toBe(0);
+        expect(schema.percent.max).toBe(100);
+        expect(schema.percent.step).toBe(5);
+
+        expect(Schema.matchesSchema(schema, { percent: 25, positive: 5 })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { percent: 101 })).toBeFalsy();
+        expect(Schema.matchesSchema(schema, { positive: 0 })).toBeFalsy();
+        expect(Schema.validate(schema, { positive: 10 })[0].message).toBe('Must be less than 10');
+        done();
+    });
+
+    it('should count multipleOf from 0, even with a minimum', done => {
+        const { schema } = convert({
+            properties: {
+                even: { type: 'number', minimum: 1, multipleOf: 2 },
+                tenths: { type: 'number', minimum: 0.3, multipleOf: 0.1 },
+            },
+        });
+
+        expect(schema.even.min).toBe(1);
+        expect(schema.even.step).toBeUndefined();
+        expect(Schema.matchesSchema(schema, { even: 2 })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { even: 3 })).toBeFalsy();
+        expect(Schema.matchesSchema(schema, { even: 0 })).toBeFalsy();
+        expect(Schema.validate(schema, { even: 3 })[0].message).toBe('Must be a multiple of 2');
+        expect(Schema.matchesSchema(schema, { tenths: 0.7 })).toBeTruthy();
+        done();
+    });
+
+    it('should fall back to any with a warning', done => {
+        const { schema, warnings } = convert({
+            properties: {
+                file: { type: 'file' },
+                both: { allOf: [ { type: 'string' } ] },
+                external: { $ref: 'http://example.com/schema.json' },
+                missing: { $ref: '#/definitions/missing' },
+            },
+        });
+
+        expect(Schema.getSchemaTypeName(schema.file)).toBe('any');
+        expect(Schema.getSchemaTypeName(schema.both)).toBe('any');
+        expect(Schema.getSchemaTypeName(schema.external)).toBe('any');
+        expect(Schema.getSchemaTypeName(schema.missing)).toBe('any');
+        expect(warnings.length).toBe(4);
+        expect(warnings[0]).toBe('#/properties/file: The type "file" is not supported. Using SchemaTypes.any() instead.');
+        done();
+    });
+
+    it('should convert recursive references to lazy SchemaTypes', done => {
+        const { schema, warnings } = convert({
+            $ref: '#/definitions/node',
+            definitions: {
+                node: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        children: { type: 'array', items: { $ref: '#/definitions/node' } },
+                    },
+                    required: [ 'name' ],
+                },
+            },
+        });
+
+        const elementType = Schema.getSchemaTypeMetadata(Schema.getShapeFields(schema).children).elementType;
+        expect(warnings).toEqual([]);
+        expect(Schema.getSchemaTypeName(schema)).toBe('shape');
+        expect(Schema.getSchemaTypeName(elementType)).toBe('lazy');
+        expect(Schema.resolveLazy(elementType)).toBe(schema);
+
+        expect(Schema.matchesSchema(schema, { name: 'a', children: [ { name: 'b', children: [] } ] })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { name: 'a', children: [ { children: [] } ] })).toBeFalsy();
+        done();
+    });
+
+    it('should convert objects with only additionalProperties to maps', done => {
+        const { schema, warnings } = convert({
+            properties: {
+                greeting: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' },
+                    propertyNames: { pattern: '^[a-z]{2}$' },
+                },
+            },
+        });
+
+        const metadata = Schema.getSchemaTypeMetadata(schema.greeting);
+        expect(warnings).toEqual([]);
+        expect(metadata.type).toBe('objectOf');
+        expect(Schema.getSchemaTypeName(metadata.valueType)).toBe('string');
+        expect(metadata.keyPattern.source).toBe('^[a-z]{2}$');
+        done();
+    });
+
+    it('should warn about ignored keywords', done => {
+        const { schema, warnings } = convert({
+            type: 'array',
+            items: { type: 'string' },
+            contains: { const: 'a' },
+        });
+
+        expect(Schema.getSchemaTypeName(schema)).toBe('arrayOf');
+        expect(warnings).toEqual([ '#: The keyword "contains" is not supported and was ignored.' ]);
+        done();
+    });
+
+    it('should produce valid schemas', done => {
+        const { schema } = convert({
+            type: 'object',
+            properties: {
+                list: { type: 'array', items: { anyOf: [ { type: 'string' }, { enum: [ 1, 2 ] } ] } },
+                any: {},
+            },
+        });
+
+        expect(() => Schema.validateSchema(schema)).not.toThrow();
+        done();
+    });
+});
+
+describe('toJSONSchema()', () => {
+    // Converts `schema`, collecting the warnings instead of logging them
+    function exportSchema (schema) {
+        const warnings = [];
+        const jsonSchema = toJSONSchema(schema, { onWarning: message => warnings.push(message) });
+        return { jsonSchema, warnings };
+    }
+
+    it('should convert an object schema to an object', done => {
+        const { jsonSchema, warnings } = exportSchema({
+            name: Schema.SchemaTypes.string({ required: true }),
+            age: Schema.SchemaTypes.number({ integer: true }),
+            admin: Schema.SchemaTypes.boolean(),
+            extra: Schema.SchemaTypes.any(),
+        });
+
+        expect(warnings).toEqual([]);
+        expect(jsonSchema).toEqual({
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                age: { type: 'integer' },
+                admin: { type: 'boolean' },
+                extra: {},
+            },
+            required: [ 'name' ],
+        });
+        done();
+    });
+
+    it('should convert nested objects and arrays', done => {
+        const { jsonSchema } = exportSchema({
+            address: Schema.SchemaTypes.shape({
+                city: Schema.SchemaTypes.string({ required: true }),
+            })({ required: true }),
+            meta: {
+                note: Schema.SchemaTypes.string(),
+            },
+            tags: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())(),
+            rows: Schema.SchemaTypes.arrayOf({ id: Schema.SchemaTypes.number({ required: true }) })(),
+            list: Schema.SchemaTypes.array(),
+            map: Schema.SchemaTypes.object(),
+        });
+
+        expect(jsonSchema.required).toEqual([ 'address' ]);
+        expect(jsonSchema.properties).toEqual({
+            address: {
+                type: 'object',
+                properties: { city: { type: 'string' } },
+                required: [ 'city' ],
+            },
+            meta: {
+                type: 'object',
+                properties: { note: { type: 'string' } },
+            },
+            tags: { type: 'array', items: { type: 'string' } },
+            rows: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { id: { type: 'number' } },
+                    required: [ 'id' ],
+                },
+            },
+            list: { type: 'array' },
+            map: { type: 'object' },
+        });
+        done();
+    });
+
+    it('should convert maps', done => {
+        const { jsonSchema } = exportSchema({
+            greeting: Schema.SchemaTypes.objectOf(Schema.SchemaTypes.string(), { keyPattern: /^[a-z]{2}$/ })(),
+            any: Schema.SchemaTypes.objectOf(Schema.SchemaTypes.number())(),
+        });
+
+        expect(jsonSchema.properties).toEqual({
+            greeting: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+                propertyNames: { pattern: '^[a-z]{2}$' },
+            },
+            any: {
+                type: 'object',
+                additionalProperties: { type: 'number' },
+            },
+        });
+        done();
+    });
+
+    it('should convert lazy SchemaTypes to definitions', done => {
+        const menu = {
+            label: Schema.SchemaTypes.string({ required: true }),
+            children: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.lazy(() => menu)())(),
+        };
+
+        const { jsonSchema, warnings } = exportSchema(menu);
+
+        expect(warnings).toEqual([]);
+        expect(jsonSchema.properties.children).toEqual({
+            type: 'array',
+            items: { $ref: '#/definitions/lazy1' },
+        });
+        expect(jsonSchema.definitions.lazy1.properties.children.items).toEqual({ $ref: '#/definitions/lazy1' });
+        expect(jsonSchema.definitions.lazy1.required).toEqual([ 'label' ]);
+
+        // And back again
+        const { schema } = convert(jsonSchema);
+        expect(Schema.matchesSchema(schema, { label: 'a', children: [ { label: 'b' } ] })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { label: 'a', children: [ {} ] })).toBeFalsy();
+        done();
+    });
+
+    it('should convert enums and unions', done => {
+        const { jsonSchema } = exportSchema(Schema.SchemaTypes.arrayOf(
+            Schema.SchemaTypes.oneOfType([
+                Schema.SchemaTypes.oneOf([ 'a', 'b' ])(),
+                Schema.SchemaTypes.number(),
+            ])()
+        )());
+
+        expect(jsonSchema.items).toEqual({
+            anyOf: [
+                { enum: [ 'a', 'b' ] },
+                { type: 'number' },
+            ],
+        });
+        done();
+    });
+
+    it('should convert nullable SchemaTypes and null', done => {
+        const { jsonSchema, warnings } = exportSchema({
+            name: Schema.SchemaTypes.string({ nullable: true, maxLength: 10 }),
+            status: Schema.SchemaTypes.oneOf([ 'draft', 'live' ])({ nullable: true }),
+            tags: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())({ nullable: true }),
+            value: Schema.SchemaTypes.oneOfType([ Schema.SchemaTypes.number(), Schema.SchemaTypes.string() ])({ nullable: true }),
+            anything: Schema.SchemaTypes.any({ nullable: true }),
+            nothing: Schema.SchemaTypes.null(),
+        });
+
+        expect(warnings).toEqual([]);
+        expect(jsonSchema.properties).toEqual({
+            name: { type: [ 'string', 'null' ], maxLength: 10 },
+            status: { enum: [ 'draft', 'live', null ] },
+            tags: { type: [ 'array', 'null' ], items: { type: 'string' } },
+            value: { anyOf: [ { type: 'number' }, { type: 'string' }, { type: 'null' } ] },
+            anything: {},
+            nothing: { type: 'null' },
+        });
+        done();
+    });
+
+    it('should convert tagged unions to oneOf with a constant tag', done => {
+        const block = Schema.SchemaTypes.taggedUnion('kind', {
+            text: { body: Schema.SchemaTypes.string({ required: true }) },
+            divider: {},
+        })();
+
+        const { jsonSchema, warnings } = exportSchema(Schema.SchemaTypes.arrayOf(block)());
+
+        expect(warnings).toEqual([]);
+        expect(jsonSchema.items).toEqual({
+            oneOf: [
+                {
+                    type: 'object',
+                    properties: { kind: { const: 'text' }, body: { type: 'string' } },
+                    required: [ 'kind', 'body' ],
+                },
+                {
+                    type: 'object',
+                    properties: { kind: { const: 'divider' } },
+                    required: [ 'kind' ],
+                },
+            ],
+        });
+
+        // And back again
+        const { schema } = convert(jsonSchema);
+        expect(Schema.getSchemaTypeName(Schema.getSchemaTypeMetadata(schema).elementType)).toBe('taggedUnion');
+        expect(Schema.matchesSchema(schema, [ { kind: 'text', body: 'a' }, { kind: 'divider' } ])).toBeTruthy();
+        expect(Schema.matchesSchema(schema, [ { kind: 'image' } ])).toBeFalsy();
+        done();
+    });
+
+    it('should convert array constraints', done => {
+        const { jsonSchema, warnings } = exportSchema({
+            tags: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())({ minItems: 1, maxItems: 3, uniqueBy: true }),
+            links: Schema.SchemaTypes.arrayOf({ url: Schema.SchemaTypes.string() })({ uniqueBy: 'url' }),
+        });
+
+        expect(jsonSchema.properties.tags).toEqual({
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            maxItems: 3,
+            uniqueItems: true,
+        });
+        expect(jsonSchema.properties.links.uniqueItems).toBeUndefined();
+        expect(warnings).toEqual([
+            '#/properties/links: A "uniqueBy" key or function can\'t be exported and was left out.',
+        ]);
+        done();
+    });
+
+    it('should convert tuples to lists of items', done => {
+        const range = Schema.SchemaTypes.tuple([
+            Schema.SchemaTypes.number({ required: true }),
+            Schema.SchemaTypes.number({ required: true }),
+            Schema.SchemaTypes.string(),
+        ])();
+
+        const { jsonSchema, warnings } = exportSchema({ range });
+
+        expect(warnings).toEqual([]);
+        expect(jsonSchema.properties.range).toEqual({
+            type: 'array',
+            items: [ { type: 'number' }, { type: 'number' }, { type: 'string' } ],
+            additionalItems: false,
+            minItems: 2,
+        });
+
+        // And back again
+        const { schema } = convert(jsonSchema);
+        expect(Schema.matchesSchema(schema, { range: [ 1, 2 ] })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { range: [ 1 ] })).toBeFalsy();
+        expect(Schema.matchesSchema(schema, { range: [ 1, 2, 'a', 'b' ] })).toBeFalsy();
+        done();
+    });
+
+    it('should convert constraints', done => {
+        const { jsonSchema } = exportSchema({
+            email: Schema.SchemaTypes.string({ format: 'email', maxLength: 80 }),
+            website: Schema.SchemaTypes.string({ format: 'url' }),
+            code: Schema.SchemaTypes.string({ pattern: /^[A-Z]+$/, minLength: 2 }),
+            percent: Schema.SchemaTypes.number({ min: 0, max: 100, step: 5 }),
+        });
+
+        expect(jsonSchema.properties).toEqual({
+            email: { type: 'string', format: 'email', maxLength: 80 },
+            website: { type: 'string', format: 'uri' },
+            code: { type: 'string', pattern: '^[A-Z]+$', minLength: 2 },
+            percent: { type: 'number', minimum: 0, maximum: 100, multipleOf: 5 },
+        });
+        done();
+    });
+
+    it('should convert dates', done => {
+        const { jsonSchema } = exportSchema({
+            date: Schema.SchemaTypes.date(),
+            iso: Schema.SchemaTypes.date({ storage: 'iso' }),
+            day: Schema.SchemaTypes.date({ storage: 'iso', time: false }),
+            epoch: Schema.SchemaTypes.date({ storage: 'epoch' }),
+        });
+
+        expect(jsonSchema.properties).toEqual({
+            date: { type: 'string', format: 'date-time' },
+            iso: { type: 'string', format: 'date-time' },
+            day: { type: 'string', format: 'date' },
+            epoch: { type: 'number' },
+        });
+        done();
+    });
+
+    it('should round-trip dates without a time', done => {
+        const warnings = [];
+        const jsonSchema = { type: 'string', format: 'date' };
+        const schema = fromJSONSchema(jsonSchema, { onWarning: message => warnings.push(message) });
+
+        const { $schema, ...exported } = exportSchema(schema).jsonSchema;
+        expect(exported).toEqual(jsonSchema);
+        expect(warnings).toEqual([]);
+        done();
+    });
+
+    it('should leave out patterns with flags, with a warning', done => {
+        const { jsonSchema, warnings } = exportSchema({
+            code: Schema.SchemaTypes.string({ pattern: /^[a-z]+$/i }),
+            slug: Schema.SchemaTypes.string({ pattern: /^[a-z-]+$/g }),
+            names: Schema.SchemaTypes.objectOf(Schema.SchemaTypes.number(), { keyPattern: /^\p{L}+$/u })(),
+        });
+
+        expect(jsonSchema.properties).toEqual({
+            code: { type: 'string' },
+            slug: { type: 'string', pattern: '^[a-z-]+$' },
+            names: { type: 'object', additionalProperties: { type: 'number' } },
+        });
+        expect(warnings).toEqual([
+            '#/properties/code: The pattern /^[a-z]+$/i has flags ("i"), which JSON schema patterns can\'t have, so it was left out.',
+            '#/properties/names/propertyNames: The pattern /^\\p{L}+$/u has flags ("u"), which JSON schema patterns can\'t have, so it was left out.',
+        ]);
+        done();
+    });
+
+    it('should convert registered SchemaTypes with their toJSONSchema', done => {
+        const duration = Schema.registerSchemaType({
+            name: 'duration',
+            validate: value => typeof value === 'string' && /^P/.test(value),
+            toJSONSchema: () => ({ type: 'string', format: 'duration' }),
+        });
+        const money = Schema.registerSchemaType({
+            name: 'money',
+            validate: value => Schema.isObject(value),
+        });
+
+        const { jsonSchema, warnings } = exportSchema({
+            timeout: duration({ nullable: true }),
+            price: money(),
+        });
+
+        expect(jsonSchema.properties).toEqual({
+            timeout: { type: [ 'string', 'null' ], format: 'duration' },
+            price: {},
+        });
+        expect(warnings).toEqual([
+            '#/properties/price: The type "money" can\'t be exported. Using {} (any value) instead.',
+        ]);
+        done();
+    });
+
+    it('should warn about options that can\'t be exported', done => {
+        const { jsonSchema, warnings } = exportSchema({
+            slug: Schema.SchemaTypes.string({ validate: () => null }),
+            odd: Schema.SchemaTypes.number({ min: 1, step: 2 }),
+            callback: Schema.SchemaTypes.function(),
+        });
+
+        expect(jsonSchema.properties).toEqual({
+            slug: { type: 'string' },
+            odd: { type: 'number', minimum: 1 },
+            callback: {},
+        });
+        expect(warnings).toEqual([
+            '#/properties/slug: Custom "validate" functions can\'t be exported and were left out.',
+            '#/properties/odd: A "step" counted from a "min" that isn\'t a multiple of it can\'t be exported and was left out.',
+            '#/properties/callback: The type "function" can\'t be exported. Using {} (any value) instead.',
+        ]);
+        done();
+    });
+
+    it('should round trip through fromJSONSchema()', done => {
+        const schema = {
+            name: Schema.SchemaTypes.string({ required: true, maxLength: 10 }),
+            status: Schema.SchemaTypes.oneOf([ 'draft', 'live' ])(),
+            tags: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())(),
+        };
+
+        const { jsonSchema } = exportSchema(schema);
+        const { schema: imported, warnings } = convert(jsonSchema);
+
+        expect(warnings).toEqual([]);
+        expect(exportSchema(imported).jsonSchema).toEqual(jsonSchema);
+        done();
+    });
+});
@@ -406,4 +406,1375 @@ describe('support functions', () => {
             done();
         });
     });
-});
\ No newline at end of file
+
+    describe('isSchemaType()', () => {
+        it('should return true for SchemaTypes', done => {
+            expect(Schema.isSchemaType(Schema.SchemaTypes.string())).toBeTruthy();
+            expect(Schema.isSchemaType(Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.any())())).toBeTruthy();
+            done();
+        });
+
+        it('should return false for anything else', done => {
+            const notSchemaTypes = [
+                Schema.SchemaTypes.string,
+                () => true,
+                { foo: Schema.SchemaTypes.string() },
+                { _isSchemaType: true, _type: 'string' },
+                null,
+                undefined,
+            ];
+
+            notSchemaTypes.forEach(test => expect(Schema.isSchemaType(test)).toBeFalsy());
+            done();
+        });
+    });
+
+    describe('getSchemaTypeMetadata()', () => {
+        it('should return the metadata of a SchemaType', done => {
+            const elementType = Schema.SchemaTypes.number();
+            const metadata = Schema.getSchemaTypeMetadata(Schema.SchemaTypes.arrayOf(elementType)({ required: true }));
+
+            expect(metadata.type).toBe('arrayOf');
+            expect(metadata.elementType).toBe(elementType);
+            expect(Schema.getSchemaTypeName(Schema.SchemaTypes.date())).toBe('date');
+            done();
+        });
+
+        it('should return null for anything but a SchemaType', done => {
+            expect(Schema.getSchemaTypeMetadata({ foo: Schema.SchemaTypes.string() })).toBeNull();
+            expect(Schema.getSchemaTypeName({ _type: Schema.SchemaTypes.string() })).toBeNull();
+            done();
+        });
+    });
+
+    describe('object schemas with reserved-looking keys', () => {
+        const schema = {
+            foo: Schema.SchemaTypes.string(),
+            _type: Schema.SchemaTypes.string({ required: true }),
+            _isSchemaType: Schema.SchemaTypes.string(),
+        };
+
+        it('should be valid schemas', done => {
+            expect(Schema.validateSchema(schema)).toBeNull();
+            expect(Schema.isSchemaType(schema)).toBeFalsy();
+            expect(Schema.getShapeFields(schema)).toBe(schema);
+            done();
+        });
+
+        it('should match values', done => {
+            expect(Schema.matchesSchema(schema, { foo: 'a', _type: 'b', _isSchemaType: 'c' })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, { foo: 'a', _isSchemaType: 'c' })).toBeFalsy();
+            expect(Schema.matchesSchema(schema, { _type: 1 })).toBeFalsy();
+            done();
+        });
+
+        it('should report validation errors', done => {
+            expect(Schema.validate(schema, { _type: 'b' })).toEqual([]);
+            expect(Schema.validate(schema, { _isSchemaType: 1 }).map(error => error.path)).toEqual([
+                '/_type',
+                '/_isSchemaType',
+            ]);
+            done();
+        });
+
+        it('should work inside other SchemaTypes', done => {
+            const list = Schema.SchemaTypes.arrayOf(schema)();
+            expect(list([ { _type: 'b' } ])).toBeTruthy();
+            expect(list([ { _type: 2 } ])).toBeFalsy();
+
+            const shape = Schema.SchemaTypes.shape(schema)();
+            expect(shape({ _type: 'b' })).toBeTruthy();
+            expect(shape({})).toBeFalsy();
+            done();
+        });
+    });
+
+    describe('getFieldGroups()', () => {
+        it('should leave out hidden fields, and order the rest', done => {
+            const fields = {
+                id: Schema.SchemaTypes.string({ hidden: true }),
+                note: Schema.SchemaTypes.string(),
+                name: Schema.SchemaTypes.string({ order: 2 }),
+                nested: { a: Schema.SchemaTypes.string() },
+                ttl_ms: Schema.SchemaTypes.number({ order: 1, label: 'Cache lifetime (ms)' }),
+            };
+
+            expect(Schema.getVisibleFieldKeys(fields)).toEqual([ 'ttl_ms', 'name', 'note', 'nested' ]);
+            expect(Schema.getFieldGroups(fields)).toEqual([
+                { group: undefined, keys: [ 'ttl_ms' ] },
+                { group: undefined, keys: [ 'name' ] },
+                { group: undefined, keys: [ 'note' ] },
+                { group: undefined, keys: [ 'nested' ] },
+            ]);
+            done();
+        });
+
+        it('should list the fields of a group together', done => {
+            const fields = {
+                name: Schema.SchemaTypes.string(),
+                ttl_ms: Schema.SchemaTypes.number({ group: 'Caching' }),
+                url: Schema.SchemaTypes.string(),
+                cached: Schema.SchemaTypes.boolean({ group: 'Caching' }),
+                key: Schema.SchemaTypes.string({ group: 'Caching', order: 1 }),
+            };
+
+            expect(Schema.getFieldGroups(fields)).toEqual([
+                { group: 'Caching', keys: [ 'key', 'ttl_ms', 'cached' ] },
+                { group: undefined, keys: [ 'name' ] },
+                { group: undefined, keys: [ 'url' ] },
+            ]);
+            done();
+        });
+    });
+
+    describe('sortIndices()', () => {
+        const schema = {
+            name: Schema.SchemaTypes.string(),
+            age: Schema.SchemaTypes.number(),
+            born: Schema.SchemaTypes.date({ storage: 'iso' }),
+            status: Schema.SchemaTypes.oneOf(['draft', 'live', 'archived'])(),
+            tags: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())(),
+        };
+
+        it('should sort by each key in turn, keeping the order of equal elements', done => {
+            const people = [
+                { name: 'b', age: 1 },
+                { name: 'c', age: 2 },
+                { name: 'a', age: 1 },
+                { name: 'a', age: 1 },
+            ];
+
+            expect(Schema.sortIndices(schema, [ { key: 'name', direction: 'asc' } ], people)).toEqual([ 2, 3, 0, 1 ]);
+            expect(Schema.sortIndices(schema, [
+                { key: 'age', direction: 'desc' },
+                { key: 'name', direction: 'asc' },
+            ], people)).toEqual([ 1, 2, 3, 0 ]);
+            expect(Schema.sortIndices(schema, [], people)).toEqual([ 0, 1, 2, 3 ]);
+            done();
+        });
+
+        it('should compare dates by time and enums by position, with missing values last', done => {
+            const items = [
+                { born: '2001-01-01', status: 'archived' },
+                { status: null },
+                { born: '2000-06-01T00:00:00Z', status: 'live' },
+                {},
+            ];
+
+            expect(Schema.sortIndices(schema, [ { key: 'born', direction: 'asc' } ], items)).toEqual([ 2, 0, 1, 3 ]);
+            expect(Schema.sortIndices(schema, [ { key: 'born', direction: 'desc' } ], items)).toEqual([ 0, 2, 1, 3 ]);
+            expect(Schema.sortIndices(schema, [ { key: 'status', direction: 'asc' } ], items)).toEqual([ 2, 0, 1, 3 ]);
+            expect(Schema.sortIndices(Schema.SchemaTypes.number(), [ { key: '', direction: 'desc' } ], [ 1, 10, 2 ])).toEqual([ 1, 2, 0 ]);
+            done();
+        });
+
+        it('should throw for keys that can\'t be sorted, and unknown directions', done => {
+            expect(Schema.isSortable(schema.tags)).toBe(false);
+            expect(() => Schema.sortIndices(schema, [ { key: 'tags', direction: 'asc' } ], [])).toThrow(/sortable field/);
+            expect(() => Schema.sortIndices(schema, [ { key: 'missing', direction: 'asc' } ], [])).toThrow(/sortable field/);
+            expect(() => Schema.sortIndices(schema, [ { key: 'name', direction: 'up' } ], [])).toThrow(/"asc" or "desc"/);
+            done();
+        });
+    });
+
+    describe('filterIndices()', () => {
+        const schema = {
+            id: Schema.SchemaTypes.string({ hidden: true }),
+            name: Schema.SchemaTypes.string(),
+            age: Schema.SchemaTypes.number(),
+            active: Schema.SchemaTypes.boolean(),
+            status: Schema.SchemaTypes.oneOf(['draft', 'live'])(),
+            address: { city: Schema.SchemaTypes.string() },
+        };
+        const people = [
+            { id: 'x', name: 'Ann', age: 12, active: true, status: 'draft', address: { city: 'Oslo' } },
+            { id: 'y', name: 'Bob', age: 30, active: false, status: 'live' },
+            { id: 'z', name: 'Dan', age: 40, active: true, status: 'live', address: { city: 'Bergen' } },
+        ];
+
+        it('should search the visible fields, including nested ones, ignoring case', done => {
+            expect(Schema.filterIndices(schema, 'AN', {}, people)).toEqual([ 0, 2 ]);
+            expect(Schema.filterIndices(schema, 'berg', {}, people)).toEqual([ 2 ]);
+            expect(Schema.filterIndices(schema, '30', {}, people)).toEqual([ 1 ]);
+            expect(Schema.filterIndices(schema, 'y', {}, people)).toEqual([]);
+            expect(Schema.filterIndices(schema, '  ', {}, people)).toEqual([ 0, 1, 2 ]);
+            expect(Schema.matchesSearch('2020-01', [ { at: new Date('2020-01-02T00:00:00Z') } ])).toBe(true);
+            done();
+        });
+
+        it('should apply a filter for each kind of column', done => {
+            expect(Schema.filterIndices(schema, '', { name: 'o' }, people)).toEqual([ 1 ]);
+            expect(Schema.filterIndices(schema, '', { age: { min: 30 } }, people)).toEqual([ 1, 2 ]);
+            expect(Schema.filterIndices(schema, '', { age: { min: 13, max: 30 } }, people)).toEqual([ 1 ]);
+            expect(Schema.filterIndices(schema, '', { active: true, status: 'live' }, people)).toEqual([ 2 ]);
+            expect(Schema.filterIndices(schema, 'n', { name: '', age: {} }, people)).toEqual([ 0, 2 ]);
+            expect(Schema.filterIndices(Schema.SchemaTypes.number(), '', { '': { max: 2 } }, [ 3, 1, 2 ])).toEqual([ 1, 2 ]);
+            done();
+        });
+
+        it('should throw for keys that can\'t be filtered', done => {
+            expect(Schema.getFilterKind(schema.address)).toBeNull();
+            expect(() => Schema.filterIndices(schema, '', { address: 'Oslo' }, people)).toThrow(/can be filtered/);
+            expect(() => Schema.filterIndices(schema, '', { missing: 'a' }, people)).toThrow(/can be filtered/);
+            expect(() => Schema.matchesFilter(schema.address, 'a', {})).toThrow(/oneOf schema to filter/);
+            done();
+        });
+    });
+
+    describe('createDefault()', () => {
+        it('should use the default option, calling factories for a fresh value', done => {
+            const tags = Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())({ default: () => ['new'] });
+            expect(Schema.createDefault(Schema.SchemaTypes.string({ default: 'draft' }))).toBe('draft');
+            expect(Schema.createDefault(Schema.SchemaTypes.number({ default: 0 }))).toBe(0);
+            expect(Schema.createDefault(Schema.SchemaTypes.any({ default: null }))).toBeNull();
+            expect(Schema.createDefault(tags)).toEqual(['new']);
+            expect(Schema.createDefault(tags)).not.toBe(Schema.createDefault(tags));
+            done();
+        });
+
+        it('should use empty containers, and undefined for values that have to be entered', done => {
+            expect(Schema.createDefault(Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.number())())).toEqual([]);
+            expect(Schema.createDefault(Schema.SchemaTypes.objectOf(Schema.SchemaTypes.number())())).toEqual({});
+            expect(Schema.createDefault(Schema.SchemaTypes.boolean())).toBe(false);
+            expect(Schema.createDefault(Schema.SchemaTypes.string({ required: true }))).toBeUndefined();
+            expect(Schema.createDefault(Schema.SchemaTypes.oneOf(['a', 'b'])({ required: true }))).toBeUndefined();
+            done();
+        });
+
+        it('should fill in the fields of object schemas that have a default or are required', done => {
+            const schema = {
+                name: Schema.SchemaTypes.string({ required: true }),
+                tags: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())({ required: true }),
+                links: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())(),
+                status: Schema.SchemaTypes.oneOf(['draft', 'live'])({ default: 'draft' }),
+                flags: {
+                    hidden: Schema.SchemaTypes.boolean({ required: true }),
+                },
+                empty: {
+                    note: Schema.SchemaTypes.string(),
+                },
+                range: Schema.SchemaTypes.shape({
+                    min: Schema.SchemaTypes.number({ default: 1 }),
+                })({ required: true }),
+            };
+
+            expect(Schema.createDefault(schema)).toEqual({
+                tags: [],
+                status: 'draft',
+                flags: { hidden: false },
+                range: { min: 1 },
+            });
+            expect(Schema.createDefault(Schema.getShapeFields(schema.range))).toEqual({ min: 1 });
+            done();
+        });
+
+        it('should stop at recursive lazy SchemaTypes', done => {
+            const node = {
+                label: Schema.SchemaTypes.string({ default: 'new' }),
+                parent: Schema.SchemaTypes.lazy(() => node)({ required: true }),
+            };
+
+            expect(Schema.createDefault(Schema.SchemaTypes.lazy(() => node)())).toEqual({
+                label: 'new',
+                parent: { label: 'new' },
+            });
+            done();
+        });
+    });
+});
+describe('SchemaTypes', () => {
+    describe('lazy()', () => {
+        const menu = {
+            label: Schema.SchemaTypes.string({ required: true }),
+            children: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.lazy(() => menu)())(),
+        };
+
+        // Nested arrays of numbers, e.g. [1, [2, [3]]]
+        const tree = Schema.SchemaTypes.lazy(() => Schema.SchemaTypes.arrayOf(
+            Schema.SchemaTypes.oneOfType([ Schema.SchemaTypes.number(), tree ])()
+        )())();
+
+        it('should be a valid schema', done => {
+            expect(Schema.validateSchema(menu)).toBeNull();
+            expect(Schema.validateSchema(tree)).toBeNull();
+            done();
+        });
+
+        it('should only call getSchema once', done => {
+            const getSchema = jest.fn(() => Schema.SchemaTypes.string());
+            const lazy = Schema.SchemaTypes.lazy(getSchema)();
+
+            expect(getSchema).not.toHaveBeenCalled();
+            expect(lazy('a')).toBeTruthy();
+            expect(lazy(1)).toBeFalsy();
+            expect(getSchema).toHaveBeenCalledTimes(1);
+            done();
+        });
+
+        it('should match recursive values', done => {
+            expect(Schema.matchesSchema(menu, {
+                label: 'File',
+                children: [ { label: 'Open', children: [ { label: 'Recent' } ] } ],
+            })).toBeTruthy();
+            expect(Schema.matchesSchema(menu, {
+                label: 'File',
+                children: [ { label: 'Open', children: [ { label: 1 } ] } ],
+            })).toBeFalsy();
+
+            expect(tree([ 1, [ 2, [ 3 ] ] ])).toBeTruthy();
+            expect(tree([ 1, [ 2, [ '3' ] ] ])).toBeFalsy();
+            done();
+        });
+
+        it('should respect its own required option', done => {
+            const schema = { item: Schema.SchemaTypes.lazy(() => menu)({ required: true }) };
+            expect(Schema.matchesSchema(schema, { item: { label: 'a' } })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, {})).toBeFalsy();
+            done();
+        });
+
+        it('should report recursive errors in validate()', done => {
+            const errors = Schema.validate(menu, {
+                label: 'File',
+                children: [ { label: 'Open', children: [ {} ] } ],
+            });
+
+            expect(errors.map(error => error.path)).toEqual([ '/children/0/children/0/label' ]);
+            expect(Schema.validate(tree, [ 1, [ 'a' ] ])[0].expected).toBe('number | arrayOf(number | ...)');
+            done();
+        });
+
+        it('should resolve to its schema', done => {
+            const lazy = Schema.SchemaTypes.lazy(() => menu)();
+            expect(Schema.resolveLazy(lazy)).toBe(menu);
+            expect(Schema.resolveLazy(menu)).toBe(menu);
+            expect(Schema.getShapeFields(lazy)).toBe(menu);
+            done();
+        });
+
+        it('should throw for a bad getSchema', done => {
+            expect(() => Schema.SchemaTypes.lazy('menu')).toThrow();
+            expect(() => Schema.SchemaTypes.lazy(() => 'menu')()('a')).toThrow();
+            done();
+        });
+    });
+
+    describe('objectOf()', () => {
+        const schema = {
+            greeting: Schema.SchemaTypes.objectOf(
+                Schema.SchemaTypes.string({ required: true }),
+                { keyPattern: /^[a-z]{2}$/g }
+            )({ required: true }),
+            features: Schema.SchemaTypes.objectOf({
+                enabled: Schema.SchemaTypes.boolean({ required: true }),
+            })(),
+        };
+
+        it('should match maps with valid keys and values', done => {
+            expect(Schema.matchesSchema(schema, { greeting: {} })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, {
+                greeting: { en: 'Hello', fr: 'Bonjour' },
+                features: { search: { enabled: true } },
+            })).toBeTruthy();
+            done();
+        });
+
+        it('should not match bad keys, bad values or non-objects', done => {
+            expect(Schema.matchesSchema(schema, {})).toBeFalsy();
+            expect(Schema.matchesSchema(schema, { greeting: { english: 'Hello' } })).toBeFalsy();
+            expect(Schema.matchesSchema(schema, { greeting: { en: 1 } })).toBeFalsy();
+            expect(Schema.matchesSchema(schema, { greeting: [ 'Hello' ] })).toBeFalsy();
+            expect(Schema.matchesSchema(schema, { greeting: {}, features: { search: {} } })).toBeFalsy();
+            done();
+        });
+
+        it('should make the value type and the key pattern available', done => {
+            const metadata = Schema.getSchemaTypeMetadata(schema.greeting);
+            expect(metadata.type).toBe('objectOf');
+            expect(Schema.getSchemaTypeName(metadata.valueType)).toBe('string');
+            // The global flag is stripped, so test() doesn't keep state between calls
+            expect(metadata.keyPattern.test('en')).toBeTruthy();
+            expect(metadata.keyPattern.test('en')).toBeTruthy();
+            expect(Schema.getSchemaTypeMetadata(schema.features).keyPattern).toBeNull();
+            done();
+        });
+
+        it('should report bad keys and values in validate()', done => {
+            expect(Schema.validate(schema, { greeting: { english: 'Hello', fr: 1 } })).toEqual([
+                {
+                    path: '/greeting/english',
+                    expected: 'key matching /^[a-z]{2}$/',
+                    actual: 'key',
+                    message: 'The key "english" must match the pattern /^[a-z]{2}$/',
+                },
+                {
+                    path: '/greeting/fr',
+                    expected: 'string',
+                    actual: 'number',
+                    message: 'Expected string, but got number',
+                },
+            ]);
+            expect(Schema.validate(schema, { greeting: {}, features: { 'a/b': {} } })[0].path)
+                .toBe('/features/a~1b/enabled');
+            done();
+        });
+
+        it('should throw for an invalid value schema', done => {
+            expect(() => Schema.SchemaTypes.objectOf('string')).toThrow();
+            done();
+        });
+    });
+
+    describe('arrayOf()', () => {
+        it('should enforce minItems and maxItems', done => {
+            const tags = Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())({ minItems: 1, maxItems: 2 });
+            expect(tags([ 'a' ])).toBeTruthy();
+            expect(tags([ 'a', 'b' ])).toBeTruthy();
+            expect(tags([])).toBeFalsy();
+            expect(tags([ 'a', 'b', 'c' ])).toBeFalsy();
+            expect(tags()).toBeTruthy();
+            expect(Schema.validate(tags, [])[0].message).toBe('Must have at least 1 element');
+            expect(Schema.validate(tags, [ 'a', 'b', 'c' ])[0].message).toBe('Must have at most 2 elements');
+            done();
+        });
+
+        it('should enforce uniqueBy with true, a key or a function', done => {
+            const tags = Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.any())({ uniqueBy: true });
+            expect(tags([ 1, '1', { a: 1 } ])).toBeTruthy();
+            expect(tags([ { a: 1 }, 2, { a: 1 } ])).toBeFalsy();
+
+            const links = Schema.SchemaTypes.arrayOf({ url: Schema.SchemaTypes.string() })({ uniqueBy: 'url' });
+            expect(links([ { url: 'a' }, { url: 'b' }, {}, {} ])).toBeTruthy();
+            expect(links([ { url: 'a' }, { url: 'b' }, { url: 'a' } ])).toBeFalsy();
+
+            const names = Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())({ uniqueBy: name => name.toLowerCase() });
+            expect(names([ 'Ann', 'Bob' ])).toBeTruthy();
+            expect(names([ 'Ann', 'Bob', 'ann', 'bob', 'ANN' ])).toBeFalsy();
+            expect(Schema.validate(names, [ 'Ann', 'Bob', 'ann', 'bob', 'ANN' ])).toEqual([ {
+                path: '',
+                expected: 'arrayOf(string)',
+                actual: 'array',
+                message: 'Must not contain duplicates, but elements 0, 2 and 4 are the same',
+            } ]);
+            done();
+        });
+
+        it('should find the indices of duplicates', done => {
+            expect(Schema.getDuplicateIndices('id', [ { id: 1 }, { id: 2 }, { id: 1 }, { id: 2 }, { id: 3 } ])).toEqual([ 0, 1, 2, 3 ]);
+            expect(Schema.getDuplicateIndices(true, [ 'a', 'b' ])).toEqual([]);
+            done();
+        });
+
+        it('should throw for an invalid uniqueBy', done => {
+            expect(() => Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.string())({ uniqueBy: 5 })).toThrowError(/Expected "uniqueBy"/);
+            done();
+        });
+    });
+
+    describe('tuple()', () => {
+        const schema = {
+            position: Schema.SchemaTypes.tuple([
+                Schema.SchemaTypes.number({ required: true }),
+                Schema.SchemaTypes.number({ required: true }),
+            ])({ required: true }),
+
+            pair: Schema.SchemaTypes.tuple([
+                Schema.SchemaTypes.string({ required: true }),
+                Schema.SchemaTypes.number(),
+            ])(),
+        };
+
+        it('should be a valid schema', done => {
+            expect(Schema.validateSchema(schema)).toBeNull();
+            expect(Schema.getSchemaTypeMetadata(schema.position).elementTypes.length).toBe(2);
+            done();
+        });
+
+        it('should match arrays whose positions match', done => {
+            const tests = [
+                { position: [51.5, -0.12] },
+                { position: [0, 0], pair: ['a', 1] },
+                { position: [0, 0], pair: ['a'] },
+            ];
+
+            tests.forEach(
+                test => expect(Schema.matchesSchema(schema, test)).toBeTruthy()
+            );
+
+            done();
+        });
+
+        it('should not match arrays with wrong positions or too many elements', done => {
+            const tests = [
+                {},
+                { position: 51.5 },
+                { position: [51.5] },
+                { position: ['51.5', '-0.12'] },
+                { position: [51.5, -0.12, 0] },
+                { position: { 0: 51.5, 1: -0.12 } },
+                { position: [0, 0], pair: [1, 'a'] },
+            ];
+
+            tests.forEach(
+                test => expect(Schema.matchesSchema(schema, test)).toBeFalsy()
+            );
+
+            done();
+        });
+
+        it('should throw for bad positions', done => {
+            expect(() => Schema.SchemaTypes.tuple(Schema.SchemaTypes.number())).toThrowError(/Array/);
+            expect(() => Schema.SchemaTypes.tuple([Schema.SchemaTypes.number(), 'number'])).toThrowError(/tuple\[1\]/);
+            done();
+        });
+
+        it('should report extra elements and failing positions in validate()', done => {
+            expect(Schema.validate(schema, { position: [1, 'a', 3] })).toEqual([
+                {
+                    path: '/position',
+                    expected: 'tuple(number, number)',
+                    actual: 'array',
+                    message: 'Expected at most 2 elements, but got 3',
+                },
+                {
+                    path: '/position/1',
+                    expected: 'number',
+                    actual: 'string',
+                    message: 'Expected number, but got string',
+                },
+            ]);
+
+            expect(R.pluck('path', Schema.validate(schema, { position: [] }))).toEqual(['/position/0', '/position/1']);
+            done();
+        });
+
+        it('should create the defaults of its positions', done => {
+            const range = Schema.SchemaTypes.tuple([
+                Schema.SchemaTypes.number({ default: 0 }),
+                Schema.SchemaTypes.number({ required: true }),
+            ])();
+
+            expect(Schema.createDefault(range)).toEqual([0, undefined]);
+            expect(Schema.createDefault(schema.position)).toBeUndefined();
+            done();
+        });
+    });
+
+    describe('taggedUnion()', () => {
+        const block = Schema.SchemaTypes.taggedUnion('kind', {
+            text: {
+                body: Schema.SchemaTypes.string({ required: true }),
+            },
+            image: {
+                url: Schema.SchemaTypes.string({ required: true }),
+                alt: Schema.SchemaTypes.string(),
+            },
+            divider: {},
+        })({ required: true });
+
+        it('should be a valid schema', done => {
+            const metadata = Schema.getSchemaTypeMetadata(block);
+            expect(Schema.validateSchema({ block })).toBeNull();
+            expect(metadata.tag).toBe('kind');
+            expect(Object.keys(metadata.variants)).toEqual(['text', 'image', 'divider']);
+            expect(Schema.getSchemaTypeMetadata(metadata.tagType).values).toEqual(['text', 'image', 'divider']);
+            done();
+        });
+
+        it('should match objects that match the variant named by their tag', done => {
+            const tests = [
+                { kind: 'text', body: 'Hello' },
+                { kind: 'image', url: 'cat.png' },
+                { kind: 'image', url: 'cat.png', alt: 'A cat' },
+                { kind: 'divider' },
+            ];
+
+            tests.forEach(
+                test => expect(block(test)).toBeTruthy()
+            );
+
+            done();
+        });
+
+        it('should not match objects without a known tag, or that don\'t match their variant', done => {
+            const tests = [
+                undefined,
+                'text',
+                {},
+                { body: 'Hello' },
+                { kind: 'video', url: 'cat.mp4' },
+                { kind: 'text', url: 'cat.png' },
+                { kind: 'image', body: 'Hello' },
+                { kind: 'toString' },
+            ];
+
+            tests.forEach(
+                test => expect(block(test)).toBeFalsy()
+            );
+
+            done();
+        });
+
+        it('should accept shape variants', done => {
+            const range = Schema.SchemaTypes.taggedUnion('type', {
+                between: Schema.SchemaTypes.shape({
+                    min: Schema.SchemaTypes.number({ required: true }),
+                    max: Schema.SchemaTypes.number({ required: true }),
+                })({
+                    validate: value => value.min <= value.max ? null : 'min must not be more than max',
+                }),
+                exactly: { value: Schema.SchemaTypes.number({ required: true }) },
+            })();
+
+            expect(range({ type: 'between', min: 1, max: 2 })).toBeTruthy();
+            expect(range({ type: 'between', min: 2, max: 1 })).toBeFalsy();
+            expect(R.pluck('message', Schema.validate(range, { type: 'between', min: 2, max: 1 })))
+                .toEqual(['min must not be more than max']);
+            done();
+        });
+
+        it('should throw for bad variants', done => {
+            expect(() => Schema.SchemaTypes.taggedUnion(5, { a: {} })).toThrowError(/tag/);
+            expect(() => Schema.SchemaTypes.taggedUnion('kind', {})).toThrowError(/at least one variant/);
+            expect(() => Schema.SchemaTypes.taggedUnion('kind', { a: Schema.SchemaTypes.string() })).toThrowError(/taggedUnion\.a/);
+            expect(() => Schema.SchemaTypes.taggedUnion('kind', { a: { b: 'c' } })).toThrowError(/taggedUnion\.a\.b/);
+            expect(() => Schema.SchemaTypes.taggedUnion('kind', {
+                a: { kind: Schema.SchemaTypes.string() },
+            })).toThrowError(/"kind" field/);
+            done();
+        });
+
+        it('should list the fields of every variant after the tag', done => {
+            const fields = Schema.getTaggedUnionFields(block);
+            expect(Object.keys(fields)).toEqual(['kind', 'body', 'url', 'alt']);
+            expect(fields.kind).toBe(Schema.getSchemaTypeMetadata(block).tagType);
+            expect(Schema.getTaggedUnionFields(Schema.SchemaTypes.string())).toBeNull();
+
+            expect(Schema.getTaggedVariant(block, { kind: 'image' })).toBe(Schema.getSchemaTypeMetadata(block).variants.image);
+            expect(Schema.getTaggedVariant(block, { kind: 'video' })).toBeNull();
+            expect(Schema.getTaggedVariant(block, undefined)).toBeNull();
+            done();
+        });
+
+        it('should report a bad tag, or the failing fields of the variant in validate()', done => {
+            expect(Schema.validate(block, { kind: 'video' })).toEqual([
+                {
+                    path: '/kind',
+                    expected: 'oneOf("text", "image", "divider")',
+                    actual: 'string',
+                    message: 'Expected one of "text", "image", "divider", but got "video"',
+                },
+            ]);
+
+            expect(R.pluck('path', Schema.validate(block, {}))).toEqual(['/kind']);
+            expect(R.pluck('path', Schema.validate(block, { kind: 'image', alt: 5 }))).toEqual(['/url', '/alt']);
+            expect(Schema.validate(block, 'text')).toEqual([
+                {
+                    path: '',
+                    expected: 'taggedUnion(kind: "text" | "image" | "divider")',
+                    actual: 'string',
+                    message: 'Expected taggedUnion(kind: "text" | "image" | "divider"), but got string',
+                },
+            ]);
+            done();
+        });
+    });
+
+    describe('oneOf()', () => {
+        const schema = {
+            status: Schema.SchemaTypes.oneOf(['draft', 'live', 'archived'])({ required: true }),
+            priority: Schema.SchemaTypes.oneOf([1, 2, 3])(),
+        };
+
+        it('should be a valid schema', done => {
+            expect(Schema.validateSchema(schema)).toBeNull();
+            done();
+        });
+
+        it('should expose the allowed values', done => {
+            expect(Schema.getSchemaTypeName(schema.status)).toBe('oneOf');
+            expect(Schema.getSchemaTypeMetadata(schema.status).values).toEqual(['draft', 'live', 'archived']);
+            done();
+        });
+
+        it('should match values in the list', done => {
+            expect(Schema.matchesSchema(schema, { status: 'draft' })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, { status: 'live', priority: 2 })).toBeTruthy();
+            done();
+        });
+
+        it('should not match values outside the list', done => {
+            const tests = [
+                { status: 'Draft' },
+                { status: 'drafts' },
+                { status: 'live', priority: '2' },
+                { priority: 1 },
+                {},
+            ];
+
+            tests.forEach(
+                test => expect(Schema.matchesSchema(schema, test)).toBeFalsy()
+            );
+
+            done();
+        });
+
+        it('should throw if the values are not an array', done => {
+            expect(() => Schema.SchemaTypes.oneOf('draft')).toThrowError(/Expected "values"/);
+            done();
+        });
+    });
+
+    describe('oneOfType()', () => {
+        const schema = {
+            id: Schema.SchemaTypes.oneOfType([
+                Schema.SchemaTypes.string(),
+                Schema.SchemaTypes.number(),
+            ])({ required: true }),
+
+            author: Schema.SchemaTypes.oneOfType([
+                Schema.SchemaTypes.string(),
+                {
+                    name: Schema.SchemaTypes.string({ required: true }),
+                    email: Schema.SchemaTypes.string(),
+                },
+            ])(),
+        };
+
+        it('should be a valid schema', done => {
+            expect(Schema.validateSchema(schema)).toBeNull();
+            expect(Schema.getSchemaTypeMetadata(schema.id).types.length).toBe(2);
+            done();
+        });
+
+        it('should match if any member matches', done => {
+            const tests = [
+                { id: 'abc' },
+                { id: 10 },
+                { id: 10, author: 'someone' },
+                { id: 10, author: { name: 'someone' } },
+                { id: 10, author: { name: 'someone', email: 'someone@example.com' } },
+            ];
+
+            tests.forEach(
+                test => expect(Schema.matchesSchema(schema, test)).toBeTruthy()
+            );
+
+            done();
+        });
+
+        it('should not match if no member matches', done => {
+            const tests = [
+                {},
+                { id: true },
+                { id: 10, author: 5 },
+                { id: 10, author: { email: 'someone@example.com' } },
+                { id: 10, author: { name: 5 } },
+                { id: 10, author: ['someone'] },
+            ];
+
+            tests.forEach(
+                test => expect(Schema.matchesSchema(schema, test)).toBeFalsy()
+            );
+
+            done();
+        });
+
+        it('should report the constraint errors of the only member with the type of the value', done => {
+            const union = Schema.SchemaTypes.oneOfType([
+                Schema.SchemaTypes.number({ max: 10 }),
+                Schema.SchemaTypes.string({ validate: value => value === 'x' ? null : 'Must be x' }),
+                { name: Schema.SchemaTypes.string({ required: true }) },
+            ])();
+
+            expect(Schema.validate(union, 11)).toEqual([
+                { path: '', expected: 'number', actual: 'number', message: 'Must be at most 10' },
+            ]);
+            expect(R.pluck('message', Schema.validate(union, 'y'))).toEqual([ 'Must be x' ]);
+            expect(R.pluck('path', Schema.validate(union, {}))).toEqual([ '/name' ]);
+            expect(R.pluck('message', Schema.validate(union, true))).toEqual([
+                'Expected number | string | shape, but got boolean',
+            ]);
+            done();
+        });
+
+        it('should only match object members against vanilla objects', done => {
+            const optionalShape = { name: Schema.SchemaTypes.string() };
+            expect(Schema.matchesUnionMember(optionalShape, {})).toBeTruthy();
+            expect(Schema.matchesUnionMember(optionalShape, 5)).toBeFalsy();
+            expect(Schema.matchesUnionMember(optionalShape, undefined)).toBeFalsy();
+            done();
+        });
+
+        it('should throw for invalid members', done => {
+            expect(() => Schema.SchemaTypes.oneOfType(Schema.SchemaTypes.string())).toThrowError(/Expected "types"/);
+            expect(() => Schema.SchemaTypes.oneOfType([Schema.SchemaTypes.string(), 'nope'])).toThrow();
+            done();
+        });
+    });
+
+    describe('number()', () => {
+        it('should only match numbers', done => {
+            const number = Schema.SchemaTypes.number();
+            expect(number(42)).toBeTruthy();
+            expect(number(undefined)).toBeTruthy();
+            expect(number('42')).toBeFalsy();
+            done();
+        });
+
+        it('should enforce min and max', done => {
+            const number = Schema.SchemaTypes.number({ min: 0, max: 10 });
+            expect(number(0)).toBeTruthy();
+            expect(number(10)).toBeTruthy();
+            expect(number(-1)).toBeFalsy();
+            expect(number(10.5)).toBeFalsy();
+            done();
+        });
+
+        it('should enforce integer', done => {
+            const number = Schema.SchemaTypes.number({ integer: true });
+            expect(number(3)).toBeTruthy();
+            expect(number(3.5)).toBeFalsy();
+            done();
+        });
+
+        it('should enforce step, counting from min', done => {
+            const fromZero = Schema.SchemaTypes.number({ step: 0.1 });
+            expect(fromZero(0.3)).toBeTruthy();
+            expect(fromZero(0.35)).toBeFalsy();
+
+            const fromOne = Schema.SchemaTypes.number({ min: 1, step: 2 });
+            expect(fromOne(5)).toBeTruthy();
+            expect(fromOne(4)).toBeFalsy();
+            done();
+        });
+
+        it('should report broken constraints in validate()', done => {
+            const schema = {
+                count: Schema.SchemaTypes.number({ min: 1, max: 5, integer: true }),
+            };
+
+            expect(R.pluck('message', Schema.validate(schema, { count: 0.5 }))).toEqual([
+                'Must be an integer',
+                'Must be at least 1',
+            ]);
+            expect(R.pluck('message', Schema.validate(schema, { count: '3' }))).toEqual([
+                'Expected number, but got string',
+            ]);
+            expect(Schema.validate(schema, { count: 3 })).toEqual([]);
+            done();
+        });
+    });
+
+    describe('date()', () => {
+        it('should match Date instances by default', done => {
+            const date = Schema.SchemaTypes.date();
+            expect(date(new Date())).toBeTruthy();
+            expect(date(new Date('bad date'))).toBeFalsy();
+            expect(date('2018-05-02')).toBeFalsy();
+            expect(date(Date.now())).toBeFalsy();
+            done();
+        });
+
+        it('should match ISO strings with storage "iso"', done => {
+            const date = Schema.SchemaTypes.date({ storage: 'iso' });
+            expect(date('2018-05-02')).toBeTruthy();
+            expect(date('2018-05-02T13:05:09.000Z')).toBeTruthy();
+            expect(date('2018-05-02T13:05+02:00')).toBeTruthy();
+            expect(date('2018-13-45')).toBeFalsy();
+            expect(date('May 2nd, 2018')).toBeFalsy();
+            expect(date(new Date())).toBeFalsy();
+            done();
+        });
+
+        it('should reject days that don\'t exist in their month', done => {
+            const date = Schema.SchemaTypes.date({ storage: 'iso' });
+            expect(Schema.isISODateString('2024-02-29')).toBeTruthy();
+            expect(Schema.isISODateString('2024-02-31')).toBeFalsy();
+            expect(Schema.isISODateString('2023-02-29T10:00:00Z')).toBeFalsy();
+            expect(Schema.isISODateString('2018-04-31')).toBeFalsy();
+            expect(date('2024-02-31')).toBeFalsy();
+            done();
+        });
+
+        it('should match epoch milliseconds with storage "epoch"', done => {
+            const date = Schema.SchemaTypes.date({ storage: 'epoch' });
+            expect(date(Date.now())).toBeTruthy();
+            expect(date(Infinity)).toBeFalsy();
+            expect(date('2018-05-02')).toBeFalsy();
+            done();
+        });
+
+        it('should describe the storage in validate()', done => {
+            const errors = Schema.validate(Schema.SchemaTypes.date({ storage: 'iso' }), 5);
+            expect(errors[0].expected).toBe('date (ISO string)');
+            done();
+        });
+
+        it('should throw for an unknown storage', done => {
+            expect(() => Schema.SchemaTypes.date({ storage: 'nope' })).toThrowError(/storage/);
+            done();
+        });
+    });
+
+    describe('string()', () => {
+        it('should enforce minLength and maxLength', done => {
+            const string = Schema.SchemaTypes.string({ minLength: 2, maxLength: 4 });
+            expect(string('ab')).toBeTruthy();
+            expect(string('abcd')).toBeTruthy();
+            expect(string('a')).toBeFalsy();
+            expect(string('abcde')).toBeFalsy();
+            expect(string(undefined)).toBeTruthy();
+            done();
+        });
+
+        it('should enforce pattern', done => {
+            const fromRegExp = Schema.SchemaTypes.string({ pattern: /^[a-z-]+$/g });
+            expect(fromRegExp('a-slug')).toBeTruthy();
+            expect(fromRegExp('a-slug')).toBeTruthy();
+            expect(fromRegExp('Not a slug')).toBeFalsy();
+
+            const fromString = Schema.SchemaTypes.string({ pattern: '^\\d+$' });
+            expect(fromString('123')).toBeTruthy();
+            expect(fromString('12a')).toBeFalsy();
+            done();
+        });
+
+        it('should enforce the named formats', done => {
+            const valid = {
+                email: ['someone@example.com'],
+                url: ['https://example.com/path?query=1', 'ftp://files.example.com'],
+                uuid: ['123e4567-e89b-12d3-a456-426655440000'],
+                hostname: ['example.com', 'localhost', 'a-b.example'],
+            };
+            const invalid = {
+                email: ['someone', 'someone@', 'some one@example.com'],
+                url: ['example.com', 'https://', 'not a url'],
+                uuid: ['123e4567e89b12d3a456426655440000', 'nope'],
+                hostname: ['-example.com', 'exa mple.com', 'example..com'],
+            };
+
+            Object.keys(valid).forEach(format => {
+                const string = Schema.SchemaTypes.string({ format });
+                valid[format].forEach(test => expect(string(test)).toBeTruthy());
+                invalid[format].forEach(test => expect(string(test)).toBeFalsy());
+            });
+
+            done();
+        });
+
+        it('should throw for an unknown format', done => {
+            expect(() => Schema.SchemaTypes.string({ format: 'phone' })).toThrowError(/format/);
+            done();
+        });
+
+        it('should report broken constraints in validate()', done => {
+            const schema = {
+                email: Schema.SchemaTypes.string({ format: 'email', maxLength: 10 }),
+            };
+
+            expect(R.pluck('message', Schema.validate(schema, { email: 'someone@example' }))).toEqual([
+                'Must be at most 10 characters long',
+                'Must be an email address',
+            ]);
+            done();
+        });
+    });
+
+    describe('nullable option', () => {
+        const schema = {
+            name: Schema.SchemaTypes.string({ required: true, nullable: true, minLength: 2 }),
+            count: Schema.SchemaTypes.number({ nullable: true }),
+        };
+
+        it('should accept null, even when required', done => {
+            expect(Schema.matchesSchema(schema, { name: null, count: null })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, { name: 'ab', count: 1 })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, { count: 1 })).toBeFalsy();
+            expect(Schema.matchesSchema(schema, { name: 'a' })).toBeFalsy();
+            expect(Schema.validate(schema, { name: null })).toEqual([]);
+            done();
+        });
+
+        it('should be described with "| null"', done => {
+            expect(Schema.describeSchema(schema.name)).toBe('string | null');
+            expect(Schema.describeSchema(Schema.SchemaTypes.string())).toBe('string');
+            done();
+        });
+
+        it('should make null the default of required nullable SchemaTypes', done => {
+            expect(Schema.createDefault(schema.name)).toBeNull();
+            expect(Schema.createDefault(schema.count)).toBeUndefined();
+            done();
+        });
+    });
+
+    describe('null', () => {
+        it('should only match null', done => {
+            const schema = { nothing: Schema.SchemaTypes.null({ required: true }) };
+            expect(Schema.validateSchema(schema)).toBeNull();
+            expect(Schema.matchesSchema(schema, { nothing: null })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, {})).toBeFalsy();
+            expect(Schema.matchesSchema(schema, { nothing: 0 })).toBeFalsy();
+            expect(Schema.createDefault(schema.nothing)).toBeNull();
+            done();
+        });
+
+        it('should combine with other types in oneOfType()', done => {
+            const schema = {
+                value: Schema.SchemaTypes.oneOfType([ Schema.SchemaTypes.number(), Schema.SchemaTypes.null() ])(),
+            };
+            expect(Schema.matchesSchema(schema, { value: null })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, { value: 1 })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, { value: 'one' })).toBeFalsy();
+            done();
+        });
+    });
+
+    describe('shape()', () => {
+        const schema = {
+            range: Schema.SchemaTypes.shape({
+                start: Schema.SchemaTypes.number({ required: true }),
+                end: Schema.SchemaTypes.number({ required: true }),
+            })({ required: true }),
+        };
+
+        it('should be a valid schema', done => {
+            expect(Schema.validateSchema(schema)).toBeNull();
+            expect(Schema.getShapeFields(schema.range)).toBe(Schema.getSchemaTypeMetadata(schema.range).fields);
+            done();
+        });
+
+        it('should match objects that match the fields', done => {
+            expect(Schema.matchesSchema(schema, { range: { start: 1, end: 2 } })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, { range: { start: 1 } })).toBeFalsy();
+            expect(Schema.matchesSchema(schema, { range: 5 })).toBeFalsy();
+            expect(Schema.matchesSchema(schema, {})).toBeFalsy();
+            done();
+        });
+
+        it('should report the failing fields in validate()', done => {
+            expect(R.pluck('path', Schema.validate(schema, { range: { start: 'one' } }))).toEqual([
+                '/range/start',
+                '/range/end',
+            ]);
+            expect(Schema.validate(schema, { range: 5 })[0].message).toBe('Expected shape, but got number');
+            done();
+        });
+
+        it('should throw for invalid fields', done => {
+            expect(() => Schema.SchemaTypes.shape(Schema.SchemaTypes.string())).toThrowError(/Expected "fields"/);
+            expect(() => Schema.SchemaTypes.shape({ foo: 'bar' })).toThrow();
+            done();
+        });
+    });
+
+    describe('validate option', () => {
+        const isEven = n => n % 2 === 0 ? null : 'Must be even';
+
+        it('should be called for values of the right type', done => {
+            const calls = [];
+            const even = Schema.SchemaTypes.number({
+                validate: (value, context) => {
+                    calls.push([value, context]);
+                    return isEven(value);
+                },
+            });
+
+            expect(even(2)).toBeTruthy();
+            expect(even(3)).toBeFalsy();
+            expect(even('2')).toBeFalsy();
+            expect(even(undefined)).toBeTruthy();
+            expect(calls).toEqual([
+                [2, { path: '', root: 2 }],
+                [3, { path: '', root: 3 }],
+            ]);
+            done();
+        });
+
+        it('should report messages with their path and root in validate()', done => {
+            const contexts = [];
+            const schema = {
+                counts: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.number({
+                    validate: (value, context) => {
+                        contexts.push(context);
+                        return isEven(value);
+                    },
+                }))(),
+            };
+
+            const test = { counts: [2, 3] };
+            expect(Schema.validate(schema, test)).toEqual([
+                {
+                    path: '/counts/1',
+                    expected: 'number',
+                    actual: 'number',
+                    message: 'Must be even',
+                },
+            ]);
+            expect(contexts).toContainEqual({ path: '/counts/1', root: test });
+            done();
+        });
+
+        it('should be passed the whole value by matchesSchema()', done => {
+            const schema = {
+                start: Schema.SchemaTypes.number(),
+                end: Schema.SchemaTypes.number({
+                    validate: (value, { root }) => root.start < value ? null : 'end must be after start',
+                }),
+            };
+
+            expect(Schema.matchesSchema(schema, { start: 1, end: 3 })).toBeTruthy();
+            expect(Schema.matchesSchema(schema, { start: 3, end: 1 })).toBeFalsy();
+            done();
+        });
+
+        it('should be passed the whole value inside other SchemaTypes', done => {
+            const contexts = [];
+            const end = Schema.SchemaTypes.number({
+                validate: (value, context) => {
+                    contexts.push(context);
+                    return context.root.range.start < value ? null : 'end must be after start';
+                },
+            });
+            const schema = {
+                range: Schema.SchemaTypes.shape({ start: Schema.SchemaTypes.number(), end })(),
+                ranges: Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.oneOfType([ end, Schema.SchemaTypes.string() ])())(),
+            };
+
+            const test = { range: { start: 1, end: 3 }, ranges: [ 2, 'x' ] };
+            expect(Schema.matchesSchema(schema, test)).toBeTruthy();
+            expect(contexts).toEqual([
+                { path: '/range/end', root: test },
+                { path: '/ranges/0', root: test },
+            ]);
+            expect(Schema.matchesSchema(schema, { range: { start: 1, end: 3 }, ranges: [ 0 ] })).toBeFalsy();
+            expect(Schema.validate(schema, { range: { start: 1, end: 3 }, ranges: [ 0 ] })).toHaveLength(1);
+            done();
+        });
+
+        it('should refine whole objects with shape()', done => {
+            const schema = Schema.SchemaTypes.shape({
+                startDate: Schema.SchemaTypes.date({ required: true }),
+                endDate: Schema.SchemaTypes.date({ required: true }),
+            })({
+                validate: range => range.endDate > range.startDate
+                    ? null
+                    : 'endDate must be after startDate',
+            });
+
+            const valid = { startDate: new Date(2018, 1, 1), endDate: new Date(2018, 1, 2) };
+            const invalid = { startDate: new Date(2018, 1, 2), endDate: new Date(2018, 1, 1) };
+
+            expect(Schema.matchesSchema(schema, valid)).toBeTruthy();
+            expect(Schema.matchesSchema(schema, invalid)).toBeFalsy();
+            expect(Schema.validate(schema, invalid)).toEqual([
+                {
+                    path: '',
+                    expected: 'shape',
+                    actual: 'object',
+                    message: 'endDate must be after startDate',
+                },
+            ]);
+            done();
+        });
+
+        it('should report field errors before refinements', done => {
+            const schema = Schema.SchemaTypes.shape({
+                name: Schema.SchemaTypes.string({ required: true }),
+            })({
+                validate: () => 'Always wrong',
+            });
+
+            expect(R.pluck('message', Schema.validate(schema, {}))).toEqual([
+                'Required value is missing',
+                'Always wrong',
+            ]);
+            done();
+        });
+
+        it('should throw if it is not a function', done => {
+            expect(() => Schema.SchemaTypes.string({ validate: 'nope' })).toThrowError(/Expected "validate"/);
+            done();
+        });
+    });
+});
+
+describe('registerSchemaType()', () => {
+    const semver = Schema.registerSchemaType({
+        name: 'semver',
+        validate: (value, opts) => (
+            typeof value === 'string' &&
+            /^\d+\.\d+\.\d+$/.test(value) &&
+            (!opts.major || value.split('.')[0] === String(opts.major))
+        ),
+        describe: schemaType => schemaType.major ? `semver ${schemaType.major}.x` : 'semver',
+    });
+
+    it('should add a SchemaType factory', done => {
+        expect(Schema.SchemaTypes.semver).toBe(semver);
+        expect(Schema.getSchemaTypeName(semver())).toBe('semver');
+        expect(Schema.getRegisteredSchemaType('semver').name).toBe('semver');
+        expect(Schema.getRegisteredSchemaType('string')).toBeNull();
+        done();
+    });
+
+    it('should validate with the options and the common options', done => {
+        const schema = {
+            version: semver({ required: true, major: 2 }),
+            previous: semver({ nullable: true }),
+        };
+
+        expect(Schema.matchesSchema(schema, { version: '2.1.0', previous: null })).toBeTruthy();
+        expect(Schema.matchesSchema(schema, { version: '1.1.0' })).toBeFalsy();
+        expect(Schema.matchesSchema(schema, { previous: '1.0.0' })).toBeFalsy();
+        expect(Schema.validate(schema, { version: 'latest' })).toEqual([ {
+            path: '/version',
+            expected: 'semver 2.x',
+            actual: 'string',
+            message: 'Expected semver 2.x, but got string',
+        } ]);
+        expect(Schema.describeSchema(schema.previous)).toBe('semver | null');
+        done();
+    });
+
+    it('should throw for invalid definitions', done => {
+        expect(() => Schema.registerSchemaType({ name: 'string', validate: () => true })).toThrowError(/already exists/);
+        expect(() => Schema.registerSchemaType({ name: 'semver', validate: () => true })).toThrowError(/already exists/);
+        expect(() => Schema.registerSchemaType({ name: '', validate: () => true })).toThrowError(/"name"/);
+        expect(() => Schema.registerSchemaType({ name: 'money' })).toThrowError(/"validate"/);
+        expect(() => Schema.registerSchemaType({ name: 'money', validate: () => true, describe: 'money' })).toThrowError(/"describe"/);
+        expect(() => Schema.registerSchemaType('money')).toThrow();
+        done();
+    });
+});
+
+describe('validate()', () => {
+    const schema = {
+        foo: Schema.SchemaTypes.string({ required: true }),
+        bar: Schema.SchemaTypes.number(),
+        baz: {
+            biz: Schema.SchemaTypes.number(),
+            booz: {
+                nested: Schema.SchemaTypes.boolean({ required: true }),
+            },
+        },
+        list: Schema.SchemaTypes.arrayOf({
+            name: Schema.SchemaTypes.string({ required: true }),
+        })(),
+        status: Schema.SchemaTypes.oneOf(['draft', 'live'])(),
+    };
+
+    it('should return an empty list when the test matches', done => {
+        const test = {
+            foo: 'string',
+            bar: 1,
+            baz: { biz: 1, booz: { nested: true } },
+            list: [{ name: 'one' }, { name: 'two' }],
+            status: 'live',
+        };
+
+        expect(Schema.validate(schema, test)).toEqual([]);
+        done();
+    });
+
+    it('should report every failing leaf', done => {
+        const test = {
+            bar: 'string',
+            baz: { biz: NaN, booz: {} },
+        };
+
+        expect(Schema.validate(schema, test)).toEqual([
+            {
+                path: '/foo',
+                expected: 'string',
+                actual: 'undefined',
+                message: 'Required value is missing',
+            },
+            {
+                path: '/bar',
+                expected: 'number',
+                actual: 'string',
+                message: 'Expected number, but got string',
+            },
+            {
+                path: '/baz/booz/nested',
+                expected: 'boolean',
+                actual: 'undefined',
+                message: 'Required value is missing',
+            },
+        ]);
+
+        done();
+    });
+
+    it('should report the indices of failing array elements', done => {
+        const test = {
+            foo: 'string',
+            baz: { booz: { nested: true } },
+            list: [{ name: 'one' }, {}, { name: 3 }],
+        };
+
+        const errors = Schema.validate(schema, test);
+        expect(R.pluck('path', errors)).toEqual(['/list/1/name', '/list/2/name']);
+        done();
+    });
+
+    it('should report the container when an array is not an array', done => {
+        const errors = Schema.validate(schema, {
+            foo: 'string',
+            baz: { booz: { nested: true } },
+            list: 'nope',
+        });
+        expect(errors).toEqual([
+            {
+                path: '/list',
+                expected: 'arrayOf(shape)',
+                actual: 'string',
+                message: 'Expected arrayOf(shape), but got string',
+            },
+        ]);
+        done();
+    });
+
+    it('should report the actual value for enums', done => {
+        const errors = Schema.validate(schema, {
+            foo: 'string',
+            baz: { booz: { nested: true } },
+            status: 'Live',
+        });
+        expect(errors.length).toBe(1);
+        expect(errors[0].path).toBe('/status');
+        expect(errors[0].message).toBe('Expected one of "draft", "live", but got "Live"');
+        done();
+    });
+
+    it('should use the empty pointer for SchemaType schemas', done => {
+        const errors = Schema.validate(Schema.SchemaTypes.arrayOf(Schema.SchemaTypes.number())(), [1, null]);
+        expect(errors).toEqual([
+            {
+                path: '/1',
+                expected: 'number',
+                actual: 'null',
+                message: 'Expected number, but got null',
+            },
+        ]);
+
+        expect(R.pluck('path', Schema.validate(Schema.SchemaTypes.string(), 1))).toEqual(['']);
+        done();
+    });
+
+    it('should escape keys in the path', done => {
+        const escapedSchema = {
+            'a/b': { 'c~d': Schema.SchemaTypes.string({ required: true }) },
+        };
+
+        expect(R.pluck('path', Schema.validate(escapedSchema, {}))).toEqual(['/a~1b/c~0d']);
+        done();
+    });
+
+    it('should throw for an invalid schema', done => {
+        expect(() => Schema.validate({ foo: 'bar' }, {})).toThrowError(/valid schema/);
+        done();
+    });
+});
@@ -27,4 +27,116 @@ describe('keyBy', () => {
     const result = util.keyBy(R.identity)(['a', 'b', 'c'])
     expect(result).toEqual({ a: 'a', b: 'b', c: 'c' })
   })
-})
\ No newline at end of file
+})
+describe('renameKey', () => {
+  it('renames the key', () => {
+    const result = util.renameKey('a', 'z', { a: 1, b: 2 })
+    expect(result).toEqual({ z: 1, b: 2 })
+  })
+
+  it('keeps the order of the keys', () => {
+    const result = util.renameKey('b', 'z', { a: 1, b: 2, c: 3 })
+    expect(Object.keys(result)).toEqual(['a', 'z', 'c'])
+  })
+
+  it('does not modify the object', () => {
+    const object = { a: 1 }
+    util.renameKey('a', 'z', object)
+    expect(object).toEqual({ a: 1 })
+  })
+})
+
+describe('toDate', () => {
+  it('converts the stored formats to a Date', () => {
+    const time = Date.UTC(2018, 4, 2, 13, 5, 9)
+    expect(util.toDate(new Date(time)).getTime()).toBe(time)
+    expect(util.toDate('2018-05-02T13:05:09.000Z').getTime()).toBe(time)
+    expect(util.toDate(time).getTime()).toBe(time)
+  })
+
+  it('reads days without a time in the time zone', () => {
+    expect(util.toDate('2018-05-02', 'utc').getTime()).toBe(Date.UTC(2018, 4, 2))
+    expect(util.toDate('2018-05-02', 'local').getTime()).toBe(new Date(2018, 4, 2).getTime())
+  })
+
+  it('returns null for invalid dates', () => {
+    expect(util.toDate('not a date')).toBeNull()
+    expect(util.toDate(new Date('not a date'))).toBeNull()
+    expect(util.toDate(undefined)).toBeNull()
+    expect(util.toDate({})).toBeNull()
+  })
+})
+
+describe('fromDate', () => {
+  const date = new Date(Date.UTC(2018, 4, 2, 13, 5, 9))
+
+  it('converts a Date to each storage format', () => {
+    expect(util.fromDate('iso', date)).toBe('2018-05-02T13:05:09.000Z')
+    expect(util.fromDate('epoch', date)).toBe(date.getTime())
+
+    const copy = util.fromDate('date', date)
+    expect(copy).not.toBe(date)
+    expect(copy.getTime()).toBe(date.getTime())
+  })
+})
+
+describe('toStoredDate', () => {
+  it('stores the day of ISO dates without a time, in the time zone', () => {
+    const midnight = new Date(2018, 4, 2)
+    expect(util.toStoredDate({ storage: 'iso', time: false }, midnight)).toBe('2018-05-02')
+    expect(util.toStoredDate({ storage: 'iso', time: false, timezone: 'utc' }, new Date(Date.UTC(2018, 4, 2)))).toBe('2018-05-02')
+  })
+
+  it('stores dates with a time like fromDate', () => {
+    const date = new Date(Date.UTC(2018, 4, 2, 13, 5, 9))
+    expect(util.toStoredDate({ storage: 'iso' }, date)).toBe('2018-05-02T13:05:09.000Z')
+    expect(util.toStoredDate({ storage: 'epoch', time: false }, date)).toBe(date.getTime())
+  })
+
+  it('round trips days through toDate', () => {
+    const type = { storage: 'iso', time: false }
+    expect(util.toStoredDate(type, util.toDate('2018-05-02', type.timezone))).toBe('2018-05-02')
+  })
+})
+
+describe('formatDate', () => {
+  it('formats the tokens in UTC', () => {
+    const date = new Date(Date.UTC(2018, 4, 2, 3, 5, 9, 7))
+    expect(util.formatDate('YYYY-MM-DDTHH:mm:ss.SSS', 'utc', date)).toBe('2018-05-02T03:05:09.007')
+    expect(util.formatDate('DD/MM/YYYY', 'utc', date)).toBe('02/05/2018')
+  })
+
+  it('formats the tokens in local time', () => {
+    const date = new Date(2018, 4, 2, 3, 5, 9)
+    expect(util.formatDate('YYYY-MM-DD HH:mm:ss', 'local', date)).toBe('2018-05-02 03:05:09')
+  })
+})
+
+describe('parseDateInput', () => {
+  it('parses dates and times in UTC', () => {
+    expect(util.parseDateInput('utc', '2018-05-02').getTime()).toBe(Date.UTC(2018, 4, 2))
+    expect(util.parseDateInput('utc', '2018-05-02T13:05').getTime()).toBe(Date.UTC(2018, 4, 2, 13, 5))
+    expect(util.parseDateInput('utc', '2018-05-02T13:05:09.5').getTime()).toBe(Date.UTC(2018, 4, 2, 13, 5, 9, 500))
+  })
+
+  it('parses dates and times in local time', () => {
+    expect(util.parseDateInput('local', '2018-05-02T13:05:09').getTime()).toBe(new Date(2018, 4, 2, 13, 5, 9).getTime())
+  })
+
+  it('round trips with formatDate', () => {
+    const text = '2018-05-02T13:05:09'
+    expect(util.formatDate('YYYY-MM-DDTHH:mm:ss', 'utc', util.parseDateInput('utc', text))).toBe(text)
+  })
+
+  it('returns null for text that is not a date', () => {
+    expect(util.parseDateInput('utc', '')).toBeNull()
+    expect(util.parseDateInput('utc', '05/02/2018')).toBeNull()
+  })
+
+  it('returns null for days that do not exist', () => {
+    expect(util.parseDateInput('utc', '2021-02-31')).toBeNull()
+    expect(util.parseDateInput('local', '2021-02-29T10:00')).toBeNull()
+    expect(util.parseDateInput('utc', '2021-13-01')).toBeNull()
+    expect(util.parseDateInput('local', '2024-02-29').getTime()).toBe(new Date(2024, 1, 29).getTime())
+  })
+})